@@ -18,59 +18,94 @@ class Search {
 		this.keys_tabs = ['ArrowDown', 'ArrowUp'];
 		this.shortcuts = ['f:facebook.com']; // кастомные сокращения
 		this.exclude_urls = ['linkedin.com'];
-		this.tabs_collection = null; // коллекция табов при открытии окна с табами
+		this.custom_engines = []; // пользовательские поисковики; копируется из настроек popup.js
+		this.engine_groups = []; // группы поисковиков, например 'all:g,b,d'; копируется из настроек popup.js
+		this.intranet_suffixes = ['local', 'internal', 'lan', 'corp']; // копируется из настроек popup.js
+		this.engine_regions = {}; // домен и язык интерфейса поисковиков, {'google': {'domain': 'google.de', 'lang': 'de'}}; копируется из настроек popup.js
+		this.tabs_collection = null; // коллекция табов при открытии окна с табами; при фильтре - только подходящие
+		this.tabs_all = []; // все табы окна в исходном порядке
+		this.tabs_filter = ''; // текст, набранный при открытом окне с табами
 		this.suggests_collection = null; // коллекция подсказок
-		this.suggests = [];
-		this.suggest = {"id": 0, "request": "", "typeCount": 0};
 		this.matches_request = [];
 		this.suggests_limit = 10;
+		this.completion = ''; // продолжение лучшей подсказки, показанное серым после курсора
 		this.suggests_show = false; // подсказки отображены
+		this.history_suggests = true; // подсказки из истории браузера; копируется из настроек popup.js
+		this.history_matches = []; // страницы из chrome.history
+		this.history_limit = 5;
+		this.tab_matches = []; // открытые вкладки, похожие на запрос
+		this.tab_limit = 3;
+		this.bookmark_suggests = true; // подсказки из закладок; копируется из настроек popup.js
+		this.bookmark_matches = []; // закладки из chrome.bookmarks
+		this.bookmark_limit = 5;
+		this.history_paused = false; // запросы не сохраняются в подсказки; копируется из настроек popup.js
+		this.bookmark_icon = '<svg xmlns="http://www.w3.org/2000/svg" fill="#7a7a7a" height="16" viewBox="0 0 24 24" width="16"><path d="M17 3H7c-1.1 0-1.99.9-1.99 2L5 21l7-3 7 3V5c0-1.1-.9-2-2-2z"/><path d="M0 0h24v24H0z" fill="none"/></svg>';
 		this.search_engine_data = {
 			'google': {
 				'origin': 'https://google.by/',
 				'search': 'search?q=',
+				'site': 'site:{hostname} {query}',
+				'region': 'google.com',
+				'regions': {'by': 'google.by', 'ru': 'google.ru', 'ua': 'google.com.ua', 'kz': 'google.kz', 'de': 'google.de', 'fr': 'google.fr', 'gb': 'google.co.uk'},
+				'lang_param': 'hl',
 				'shortcut': 'g',
 				'favicon': 'img/google.png'
 			},
 			'bing': {
 				'origin': 'https://bing.com/',
 				'search': 'search?q=',
+				'site': 'site:{hostname} {query}',
+				'region': 'bing.com',
+				'lang_param': 'setlang',
 				'shortcut': 'b',
 				'favicon': 'img/bing.png'
 			},
 			'yandex': {
 				'origin': 'https://yandex.by/',
 				'search': 'search/?text=',
+				'site': 'site:{hostname} {query}',
+				'region': 'yandex.com',
+				'regions': {'by': 'yandex.by', 'ru': 'yandex.ru', 'ua': 'yandex.ua', 'kz': 'yandex.kz', 'tr': 'yandex.com.tr'},
+				'lang_param': 'lang',
 				'shortcut': 'y',
 				'favicon': 'img/yandex.png'
 			},
 			'duckduck': {
 				'origin': 'https://duckduckgo.com/',
 				'search': '?q=',
+				'site': 'site:{hostname} {query}',
+				'region': 'duckduckgo.com',
 				'shortcut': 'd',
 				'favicon': 'img/duckduck.png'
 			},
 			'baidu': {
 				'origin': 'http://baidu.com/',
 				'search': 's?wd=',
+				'site': 'site:{hostname} {query}',
+				'region': 'baidu.com',
 				'shortcut': 'du',
 				'favicon': 'img/baidu.png'
 			},
 			'youtube': {
 				'origin': 'http://youtube.com/',
 				'search': 'results?search_query=',
+				'region': 'youtube.com',
+				'lang_param': 'hl',
 				'shortcut': 'yt',
 				'favicon': 'img/youtube.png'
 			},
 			'wikipedia': {
 				'origin': 'http://wikipedia.org/',
 				'search': 'w/index.php?search=',
+				'region': '{lang}.wikipedia.org',
 				'shortcut': 'w',
 				'favicon': 'img/wikipedia.png'
 			},
 			'github': {
 				'origin': 'http://github.com/',
 				'search': 'search?utf8=✓&q=',
+				'site': 'repo:{repo} {query}',
+				'region': 'github.com',
 				'shortcut': 'gt',
 				'favicon': 'img/github.png'
 			}
@@ -89,30 +124,51 @@ class Search {
 		const shortcuts_list_img = utils.addElement('div', 'shortcuts-list-img');
 		const ul1 = utils.addElement('ul', 'shortcuts-list-img__ul mdl-shadow--2dp is-hidden--fs-search');
 		const sl_ico = utils.addElement('span', 'shortcuts-list-img__arrow svg-icon', 'f_arrow');
-		Object.keys(this.search_engine_data).forEach((v, i) => {
-			const li =  utils.addElement('li', 'shortcuts-list-img__li');
-			const ico = utils.addElement('img', 'shortcuts-list-img__ico', ('search_icon_'+i), false, false, {'src': chrome.extension.getURL(this.search_engine_data[v].favicon), 'data-shortcut': this.search_engine_data[v].shortcut});
-			const tooltip = utils.addElement('div', 'mdl-tooltip mdl-tooltip--right', false, this.search_engine_data[v].shortcut, false, {'data-mdl-for': ('search_icon_'+i)});
-			li.appendChild(ico);
-			li.appendChild(tooltip);
-			ul1.appendChild(li);
-			setTimeout(() => {
-				componentHandler.upgradeElement(tooltip);
-			}, 10);
-		});
+		const os_btn = utils.addElement('button', 'mdl-textfield__opensearch is-hidden--fs-search', 'f_opensearch');
+		const preview = utils.addElement('span', 'mdl-textfield__preview', 'f_preview');
+		const private_btn = utils.addElement('button', 'mdl-textfield__private', 'f_private');
+		const ghost = utils.addElement('span', 'mdl-textfield__ghost', 'f_ghost');
+		this.buildShortcutsListImg(ul1);
 		shortcuts_list_img.appendChild(sl_ico);
 		shortcuts_list_img.appendChild(ul1);
 		suggests.appendChild(ul);
 		d.appendChild(inp);
+		d.appendChild(ghost);
 		d.appendChild(lbl);
 		d.appendChild(s_ico);
 		d.appendChild(cls_ico);
 		d.appendChild(suggests);
 		d.appendChild(shortcuts_list_img);
+		d.appendChild(os_btn);
+		d.appendChild(preview);
+		d.appendChild(private_btn);
 		w.appendChild(d);
 		componentHandler.upgradeElement(d);
 		document.documentElement.appendChild(w);
 		this.element = document.getElementById(this.search_id);
+		this.updateHistoryButton();
+	}
+
+	buildShortcutsListImg(ul) {
+		while (ul.firstElementChild) {
+			ul.removeChild(ul.firstElementChild);
+		}
+
+		Object.keys(this.search_engine_data).forEach((v, i) => {
+			if (this.search_engine_data[v].bang) return;
+			const li =  utils.addElement('li', 'shortcuts-list-img__li');
+			const ico = utils.addElement('img', 'shortcuts-list-img__ico', ('search_icon_'+i), false, false, {'src': this.getFaviconUrl(this.search_engine_data[v].favicon), 'data-shortcut': this.search_engine_data[v].shortcut});
+			const tooltip = utils.addElement('div', 'mdl-tooltip mdl-tooltip--right', false, this.search_engine_data[v].shortcut, false, {'data-mdl-for': ('search_icon_'+i)});
+			ico.addEventListener('error', function(e) {
+				this.src = chrome.extension.getURL('img/no_favicon.png');
+			});
+			li.appendChild(ico);
+			li.appendChild(tooltip);
+			ul.appendChild(li);
+			setTimeout(() => {
+				componentHandler.upgradeElement(tooltip);
+			}, 10);
+		});
 	}
 
 	appendBackground() {
@@ -120,9 +176,255 @@ class Search {
 		document.documentElement.appendChild(d);
 	}
 
-	addPrefixLangSearchEngine() {
-		let url = this.search_engine_data.wikipedia.origin;
-		this.search_engine_data.wikipedia.origin = url.replace(/^http:\/\//, `http://${this.lang}.`);
+	appendSnackbar() {
+		const d = utils.addElement('div', 'mdl-js-snackbar mdl-snackbar fs-search', 'f_snackbar');
+		d.appendChild(utils.addElement('div', 'mdl-snackbar__text'));
+		d.appendChild(utils.addElement('button', 'mdl-snackbar__action', false, false, false, {'type': 'button'}));
+		document.documentElement.appendChild(d);
+		componentHandler.upgradeElement(d);
+	}
+
+	// сообщение с кнопкой отмены; отмена срабатывает один раз
+	showUndo(message, handler) {
+		const snackbar = document.getElementById('f_snackbar');
+		let done = false;
+
+		if (!snackbar || !snackbar.MaterialSnackbar) return;
+
+		snackbar.MaterialSnackbar.showSnackbar({
+			'message': message,
+			'actionText': (this.lang === 'ru' ? 'Отменить' : 'Undo'),
+			'actionHandler': e => {
+				e.stopPropagation();
+				if (done) return;
+				done = true;
+				handler();
+			},
+			'timeout': 5000
+		});
+	}
+
+	// домен региона и язык интерфейса поисковиков; по умолчанию из настройки lang и локали браузера
+	applyEngineRegions() {
+		const locale = navigator.language.toLowerCase().split('-');
+		const country = locale[1] || locale[0];
+
+		for (let prop in this.search_engine_data) {
+			const engine = this.search_engine_data[prop];
+			if (!engine.region) continue;
+
+			if (!engine.default_origin) {
+				engine.default_origin = engine.origin;
+				engine.default_search = engine.search;
+			}
+
+			const region = this.engine_regions[prop] || {};
+			const lang = region.lang || this.lang;
+			const domain = (region.domain || (engine.regions && engine.regions[country]) || engine.region)
+				.replace('{lang}', lang)
+				.replace(/^https?:\/\/|\/+$/g, '');
+
+			engine.origin = /^https?:\/\//.exec(engine.default_origin)[0] + domain + '/';
+			engine.search = engine.lang_param ?
+				engine.default_search.replace('?', `?${engine.lang_param}=${encodeURIComponent(lang)}&`) :
+				engine.default_search;
+		}
+	}
+
+	// добавляет пользовательские поисковики из настроек popup.js
+	addCustomSearchEngines() {
+		const re = /^(https?:\/\/[^/]+\/?)/i;
+
+		for (let prop in this.search_engine_data) {
+			if (this.search_engine_data[prop].custom)
+				delete this.search_engine_data[prop];
+		}
+
+		this.custom_engines.forEach((v, i) => {
+			// сохраненный раньше шаблон не с http(s) не подключается
+			if (this.search_engine_data[v.name] || !re.test(v.template || '')) return;
+			const origin = re.exec(v.template);
+			this.search_engine_data[v.name] = {
+				'origin': origin ? origin[1].replace(/\/?$/, '/') : v.template,
+				'template': v.template,
+				'shortcut': v.shortcut,
+				'favicon': v.favicon || (origin ? origin[1].replace(/\/?$/, '/') + 'favicon.ico' : 'img/no_favicon.png'),
+				'method': v.method || 'get',
+				'fields': v.fields || {},
+				'encoding': v.encoding,
+				'custom': true,
+				'bang': !!v.bang
+			};
+		});
+
+		if (!this.search_engine_data[this.search_engine])
+			this.search_engine = 'google';
+	}
+
+	updateSearchEngines() {
+		this.applyEngineRegions();
+		this.addCustomSearchEngines();
+		this.buildShortcutsListImg(document.querySelector('.shortcuts-list-img__ul'));
+	}
+
+	// ищет описание OpenSearch на текущей странице
+	discoverOpenSearch() {
+		const link = document.querySelector('link[rel="search"][type="application/opensearchdescription+xml"]');
+
+		if (!link || !link.href) return Promise.resolve(false);
+		if (this.opensearch_engine !== undefined) return Promise.resolve(this.opensearch_engine);
+
+		return fetch(link.href, {credentials: 'include'})
+			.then(response => response.text())
+			.then(text => this.opensearch_engine = this.parseOpenSearch(text, link.href))
+			.catch(error => this.opensearch_engine = false);
+	}
+
+	parseOpenSearch(xml, base) {
+		const doc = new DOMParser().parseFromString(xml, 'text/xml');
+		const short_name = doc.getElementsByTagName('ShortName')[0];
+		const image = doc.getElementsByTagName('Image')[0];
+		const url = [...doc.getElementsByTagName('Url')].filter(v => {
+			return (v.getAttribute('type') || 'text/html') === 'text/html' &&
+				(v.getAttribute('method') || 'get').toLowerCase() === 'get' &&
+				/\{searchTerms\}/.test(v.getAttribute('template'));
+		})[0];
+		const params = {
+			'inputEncoding': 'UTF-8',
+			'outputEncoding': 'UTF-8',
+			'language': '*',
+			'count': '20',
+			'startIndex': '1',
+			'startPage': '1'
+		};
+
+		if (!short_name || !short_name.textContent.trim() || !url) return false;
+
+		// относительные адреса считаются от описания, а не от расширения в getFaviconUrl;
+		// шаблон не с http(s), например javascript:, выполнился бы на другом сайте
+		const template = resolver.resolveWebUrl(url.getAttribute('template')
+			.replace(/\{searchTerms\}/g, '%s')
+			.replace(/\{([^}?]+)\??\}/g, (m, param) => params[param] || ''), base);
+		const favicon = image ? resolver.resolveWebUrl(image.textContent.trim(), base) : null;
+
+		if (!template) return false;
+
+		return {
+			'name': short_name.textContent.trim(),
+			'template': template,
+			'favicon': favicon || ''
+		};
+	}
+
+	offerOpenSearch() {
+		this.discoverOpenSearch()
+			.then(engine => {
+				const btn = document.getElementById('f_opensearch');
+				const added = !engine || this.custom_engines.some(v => v.template === engine.template || v.name === engine.name);
+
+				if (!added)
+					btn.textContent = (this.lang === 'ru' ? `Добавить поисковик «${engine.name}»` : `Add “${engine.name}” as engine`);
+				btn.classList[added ? 'add' : 'remove']('is-hidden--fs-search');
+			});
+	}
+
+	// сокращение из ShortName, не совпадающее с существующими
+	makeShortcut(name, custom_engines) {
+		const base = name.toLowerCase().replace(/[^a-z0-9а-яё]+/g, '') || 'os';
+		const used = Object.keys(this.search_engine_data)
+			.map(v => this.search_engine_data[v].shortcut)
+			.concat(custom_engines.map(v => v.shortcut))
+			.concat(this.shortcuts.map(v => v.split(':')[0]));
+		let shortcut = base;
+		let n = 1;
+
+		while (~used.indexOf(shortcut)) {
+			shortcut = base + (++n);
+		}
+
+		return shortcut;
+	}
+
+	addOpenSearchEngine() {
+		const engine = this.opensearch_engine;
+		if (!engine) return;
+
+		chrome.storage.local.get('search_props_', items => {
+			const storage_obj = items.search_props_ ? JSON.parse(items.search_props_) : {};
+			const custom_engines = storage_obj.custom_engines || [];
+
+			if (!custom_engines.some(v => v.name === engine.name)) {
+				custom_engines.push({
+					'name': engine.name,
+					'shortcut': this.makeShortcut(engine.name, custom_engines),
+					'template': engine.template,
+					'favicon': engine.favicon
+				});
+			}
+			storage_obj.custom_engines = custom_engines;
+
+			chrome.storage.local.set({'search_props_': JSON.stringify(storage_obj)}, () => {
+				this.custom_engines = custom_engines;
+				this.updateSearchEngines();
+				this.offerOpenSearch();
+				this.element.focus();
+			});
+		});
+	}
+
+	// в инкогнито запросы не сохраняются независимо от паузы
+	updateHistoryButton() {
+		const btn = document.getElementById('f_private');
+		const incognito = chrome.extension.inIncognitoContext;
+		const ru = this.lang === 'ru';
+
+		btn.textContent = incognito ? (ru ? 'Инкогнито: история не сохраняется' : 'Incognito: history is off') :
+			this.history_paused ? (ru ? 'История на паузе' : 'History paused') : (ru ? 'Приостановить историю' : 'Pause history');
+		btn.disabled = incognito;
+		btn.classList[this.history_paused || incognito ? 'add' : 'remove']('is-active');
+	}
+
+	toggleHistoryPause() {
+		chrome.storage.local.get('search_props_', items => {
+			const storage_obj = items.search_props_ ? JSON.parse(items.search_props_) : {};
+			storage_obj.history_paused = !this.history_paused;
+
+			chrome.storage.local.set({'search_props_': JSON.stringify(storage_obj)}, () => {
+				this.history_paused = storage_obj.history_paused;
+				this.updateHistoryButton();
+				this.element.focus();
+			});
+		});
+	}
+
+	previewSiteSearch() {
+		const preview = document.getElementById('f_preview');
+		const site_search = resolver.parseSiteSearch(this.element.value, this.getResolverSettings());
+
+		const unscoped = this.lang === 'ru' ? 'не только на сайте: ' : 'not limited to the site: ';
+
+		preview.textContent = site_search ? (site_search.scoped ? '' : unscoped) + site_search.query : '';
+	}
+
+	getFaviconUrl(favicon) {
+		return /^(https?:|data:)/.test(favicon) ? favicon : chrome.extension.getURL(favicon);
+	}
+
+	getResolverSettings() {
+		return {
+			'engines': this.search_engine_data,
+			'search_engine': this.search_engine,
+			'shortcuts': this.shortcuts,
+			'engine_groups': this.engine_groups,
+			'intranet_suffixes': this.intranet_suffixes,
+			'context': {
+				'href': window.location.href,
+				'hostname': window.location.hostname,
+				'pathname': window.location.pathname,
+				'title': document.title,
+				'selection': this.selection || ''
+			}
+		};
 	}
 
 	docEvents() {
@@ -130,21 +432,25 @@ class Search {
 			// console.log(this.search_engine_data[i]);
 		}
 
-		const error_keys = ['ArrowDown', 'ArrowUp', 'ArrowLeft', 'ArrowRight'];
+		const error_keys = ['ArrowDown', 'ArrowUp', 'ArrowLeft', 'ArrowRight', 'Enter'];
 
 		document.addEventListener('keyup', e => {
 			const id = e.target.id;
 
 			if (id && id === this.search_id) {
 				if (error_keys.indexOf(e.key) === -1) {
-					const m = this.saveMatchesRequest(this.element.value);
-					if (m) {
+					this.searchLinks(this.element.value);
+					if (!this.saveMatchesRequest(this.element.value)) this.matches_request = [];
+					this.calc_answer = calculator.calculate(this.element.value);
+					if (this.hasSuggests()) {
 						this.buildSuggests();
 					} else {
 						this.removeSuggests();
 					}
 				}
 				this.appendSearchEngineFavicon(e);
+				this.previewSiteSearch();
+				this.updateCompletion();
 			}
 		});
 
@@ -181,6 +487,12 @@ class Search {
 				case 'f_arrow':
 					this.toggleShortcutsListImg();
 					break;
+				case 'f_opensearch':
+					this.addOpenSearchEngine();
+					break;
+				case 'f_private':
+					this.toggleHistoryPause();
+					break;
 				default:
 					target = e.target;
 
@@ -188,20 +500,41 @@ class Search {
 						this.insertShortcutWithClick(target);
 					}
 
+					if (target.closest('.mdl-textfield__suggests-answer')) {
+						this.copyAnswer();
+						break;
+					}
+
 					if (target.classList.contains('mdl-textfield__suggests-button')) {
 						this.removeSuggest(target);
 						break;
 					}
 
-					if (target.classList.contains('mdl-textfield__suggests-text')) {
-						this.element.value += target.textContent;
-						this.openRequest(this.element.value);
+					if (target.closest('.mdl-textfield__suggests-link')) {
+						const link = target.closest('.mdl-textfield__suggests-link');
+						if (link.dataset.tabId) {
+							this.switchToTab(link.dataset.tabId);
+						} else {
+							this.openLink(link.dataset.url, this.getOpenTarget(e));
+						}
+						break;
+					}
+
+					if (target.closest('.mdl-textfield__suggests-text')) {
+						this.element.value = this.getSuggestValue(target.closest('.mdl-textfield__suggests-suggest'));
+						this.openRequest(this.element.value, this.getOpenTarget(e));
 						break;
 					}
 
 					if (target.classList.contains('tab-nav__close')) {
 						// console.log(target);
-						this.sendMessage({ "query" : "remove", "data" : +(target.parentNode.dataset.id) });
+						const url = target.parentNode.dataset.url;
+						this.sendMessage({ "query" : "remove", "data" : +(target.parentNode.dataset.id) }, response => {
+							if (response.action === "tab_removed")
+								this.showUndo((this.lang === 'ru' ? 'Вкладка закрыта' : 'Tab closed'), () => {
+									this.sendMessage({ "query": "tab_restore", "data": url });
+								});
+						});
 					} else {
 						while (!target.classList.contains('tab-nav__tab')) {
 							if (target.tagName === 'HTML') return;
@@ -275,9 +608,27 @@ class Search {
 
  		if (input) {
 
+			if ((k === 'Tab' || k === 'ArrowRight') && !e.shiftKey && this.acceptCompletion()) {
+				e.preventDefault();
+				return;
+			}
+
 			if (k === 'Enter') {
+				if (this.calc_answer && this.isAnswerSelected()) {
+					this.copyAnswer();
+					return;
+				}
+				const link = this.getActiveLink();
+				if (link) {
+					if (link.dataset.tabId) {
+						this.switchToTab(link.dataset.tabId);
+					} else {
+						this.openLink(link.dataset.url, this.getOpenTarget(e));
+					}
+					return;
+				}
 				this.updateSuggests(this.element.value);
-				this.openRequest(this.element.value);
+				this.openRequest(this.element.value, this.getOpenTarget(e));
 			}
 
 			if ((k === 'ArrowUp' || k === 'ArrowDown')) {
@@ -301,7 +652,11 @@ class Search {
 		if (k === this.keys[1] && this.pressed[0] && !this.tabs) {
 			this.search = true;
 			this.pressed = [];
-			this.rewriteProps();
+			this.rewriteProps()
+				.then(() => {
+					this.updateSearchEngines();
+					this.updateHistoryButton();
+				});
 
 			setTimeout(() => { this.toggleSearch(); }, 0);
 		}
@@ -319,7 +674,14 @@ class Search {
 			}
 		}
 
-		if ((k === 'ArrowUp' || k === 'ArrowDown') && this.tabs) {
+		// набранный текст фильтрует окно с табами
+		if (this.tabs && !e.ctrlKey && !e.metaKey && !e.altKey && (k.length === 1 || (k === 'Backspace' && this.tabs_filter))) {
+			e.preventDefault();
+			this.filterTabs(k === 'Backspace' ? this.tabs_filter.slice(0, -1) : this.tabs_filter + k);
+			return;
+		}
+
+		if ((k === 'ArrowUp' || k === 'ArrowDown') && this.tabs && this.tabs_collection.length) {
 			this.selectList(this.tabs_collection, k);
 			this.scrollTabs(k);
 		}
@@ -393,23 +755,33 @@ class Search {
 		const key = e.key;
 		const fav_class = 'mdl-textfield__favicon';
 
-		const append_favicon = (favicon) => {
+		const append_favicon = (favicon, i) => {
 
 			let fav = document.createElement('img');
+			const indent = 20 + i * 18;
 
 			fav.onload = function() {
 				e.target.parentNode.appendChild(this);
 				e.target.classList.add('mdl-textfield__input--indent');
+				if ((parseInt(e.target.style.textIndent) || 0) < indent)
+					e.target.style.textIndent = indent + 'px';
+			};
+
+			fav.onerror = function() {
+				this.onerror = null;
+				this.src = chrome.extension.getURL('img/no_favicon.png');
 			};
 
 			fav.className = fav_class;
-			fav.src = chrome.extension.getURL(favicon);
+			fav.style.left = (i * 18 - 2) + 'px';
+			fav.src = this.getFaviconUrl(favicon);
 
 		};
 
 		const searches_data = this.search_engine_data;
-		const re = /^([^:]+)(:)?(.*)?$/;
-		const parse = re.exec(e.target.value);
+		const re = /^@?([^:]+)(:)?(.*)?$/;
+		const settings = this.getResolverSettings();
+		const parse = re.exec(resolver.parseBang(e.target.value, settings));
 		const shortcuts = [];
 		const shortcuts_url = [];
 
@@ -421,17 +793,21 @@ class Search {
 		}
 
 		const current_indx_match = shortcuts.indexOf(parse && parse[1]);
+		const favicons = ~current_indx_match ?
+			[shortcuts_url[current_indx_match]] :
+			resolver.getEngineGroup(parse && parse[1], settings).map(v => searches_data[v].favicon);
+		const current_match = favicons.join();
 
-		if (~current_indx_match) {
+		if (favicons.length) {
 			if (!document.querySelector('.'+fav_class)) {
-				append_favicon(shortcuts_url[current_indx_match]);
-				this.paste_indx_match = current_indx_match;
+				favicons.forEach(append_favicon);
+				this.paste_match = current_match;
 			} else {
-				if (current_indx_match !== this.paste_indx_match) {
+				if (current_match !== this.paste_match) {
 					this.removeSearchEngineFavicon(e.target);
-					append_favicon(shortcuts_url[current_indx_match]);
+					favicons.forEach(append_favicon);
 				}
-				this.paste_indx_match = current_indx_match;
+				this.paste_match = current_match;
 			}
 		} else {
 			if (document.querySelector('.'+fav_class)) {
@@ -442,13 +818,14 @@ class Search {
 	}
 
 	removeSearchEngineFavicon(input) {
-		const fav = document.querySelector('.mdl-textfield__favicon');
+		const fav = document.querySelectorAll('.mdl-textfield__favicon');
 
-		if (fav) {
-			fav.remove();
+		if (fav.length) {
+			[...fav].forEach(v => v.remove());
 
 			if (input) {
 				input.classList.remove('mdl-textfield__input--indent');
+				input.style.textIndent = '';
 
 				return true;
 			}
@@ -458,9 +835,13 @@ class Search {
 
 	}
 
+	getHostname() {
+		return window.location.hostname.replace(/^www./, '');
+	}
+
 	checkHostname() {
-		const hostname = window.location.hostname;
-		return this.exclude_urls.some((v, idx) => v === hostname.replace(/^www./, ''));
+		const hostname = this.getHostname();
+		return this.exclude_urls.some((v, idx) => v === hostname);
 	}
 
 	handlerToggleScroll() {
@@ -479,11 +860,18 @@ class Search {
 
 		if (!this.search) {
 			this.element.value = '';
+			this.calc_answer = false;
+			this.history_matches = [];
+			this.bookmark_matches = [];
+			this.tab_matches = [];
+			this.previewSiteSearch();
 			this.removeSearchEngineFavicon(this.element);
 			this.removeSuggests();
 		}
 
 		if (!this.element.parentNode.parentNode.classList.contains('is-hidden--fs-search')) {
+			this.selection = window.getSelection().toString().trim();
+			this.offerOpenSearch();
 			const delay = touch ? 350 : 0;
 			setTimeout(() => {
 				this.element.focus();
@@ -504,47 +892,94 @@ class Search {
 
 	updateSuggests(request) {
 		const re = /^(.+:)/;
-		request = request.replace(re, '').toLowerCase();
-
-		const find_suggest_indx = this.suggests.findIndex((o, i) => request === o.request);
+		const settings = this.getResolverSettings();
+		const resolved = resolver.resolve(request, settings);
+		// поисковик, в котором выполнен запрос; для адресов, групп и сокращений - ''
+		const engine = resolved.type === 'search' || (resolved.type === 'engine' && resolved.query) ? resolved.engine : '';
+		request = resolver.parseBang(request, settings).replace(re, '').toLowerCase();
 
-		if (~find_suggest_indx) {
-			this.suggests[find_suggest_indx].typeCount++;
-		} else {
-			const suggest_tmp = Object.assign({}, this.suggest);
-			suggest_tmp.request = request;
-			let n = this.suggests.push(suggest_tmp);
-			this.suggests[--n].id = n;
-		}
+		if (!request.trim()) return false;
 
-		this.saveSuggests();
-		this.getSuggests();
+		// подсказки хранятся в IndexedDB фоновой страницы (blocks/store/store.js)
+		this.sendMessage({ "query": "suggest_save", "data": {"request": request, "engine": engine} });
+		return true;
 	}
 
-	getSuggests() {
-		chrome.storage.local.get('suggests', (items) => {
-			if (items.suggests && items.suggests.length) {
-				this.suggests = items.suggests;
-				// console.log(JSON.stringify(this.suggests, null, 3));
-			}
-		});
+	// текст и поисковик подсказок: yt:lofi ищет только запросы YouTube, yt: - все запросы YouTube
+	getSuggestsQuery(value) {
+		const prefix = /^([^:\s]+):/.exec(value);
+		const engine = prefix ? resolver.getEngineKey(prefix[1], this.search_engine_data) : null;
+
+		return {
+			"text": value.replace(/^(.+:)/, '').toLowerCase(),
+			"engine": engine || ''
+		};
 	}
 
-	saveSuggests() {
-		chrome.storage.local.set({'suggests': this.suggests});
+	// подсказка в поле поиска; запрос другого поисковика получает его сокращение
+	getSuggestValue(suggest) {
+		const txt = suggest.querySelector('.mdl-textfield__suggests-text').textContent;
+		const engine = this.search_engine_data[suggest.dataset.engine];
+		const prefix = /^(.+:)?/.exec(this.element.value)[1] || '';
+
+		if (engine)
+			return suggest.dataset.engine === this.search_engine && !prefix ? txt : `${engine.shortcut}:${txt}`;
+
+		return prefix + txt;
 	}
 
 	setSelectSuggest() {
 		const active = [...this.suggests_collection].filter(v => v.classList.contains('is-active'))[0];
-		const re = /^(.+:)?(.+)/;
 
-		if (active) {
-			const txt = active.firstElementChild.textContent;
-			this.element.value = this.element.value.replace(re, '$1'+txt);
+		if (active && !active.dataset.answer && !active.dataset.url) {
+			this.element.value = this.getSuggestValue(active);
 		}
 
 	}
 
+	// дополняется только запрос после сокращения поисковика; выбранная стрелками подсказка отключает дополнение
+	getCompletion(value) {
+		const query = this.getSuggestsQuery(value);
+		const best = this.matches_request[0];
+		const selected = [...(this.suggests_collection || [])].some(v => v.classList.contains('is-active'));
+
+		if (!best || selected || !query.text.trim()) return '';
+		if (best.request.length <= query.text.length || best.request.indexOf(query.text) !== 0) return '';
+
+		return best.request.slice(query.text.length);
+	}
+
+	updateCompletion() {
+		const ghost = document.getElementById('f_ghost');
+		const input = this.element;
+		const at_end = input.selectionStart === input.value.length && input.selectionEnd === input.value.length;
+
+		this.completion = at_end ? this.getCompletion(input.value) : '';
+
+		while (ghost.firstChild) {
+			ghost.removeChild(ghost.firstChild);
+		}
+
+		if (!this.completion || input.scrollWidth > input.clientWidth) return;
+
+		// набранный текст невидим и только сдвигает дополнение к курсору
+		ghost.appendChild(utils.addElement('span', 'mdl-textfield__ghost-typed', false, input.value));
+		ghost.appendChild(document.createTextNode(this.completion));
+		ghost.style.textIndent = getComputedStyle(input).textIndent;
+	}
+
+	acceptCompletion() {
+		if (!this.completion || this.element.selectionEnd !== this.element.value.length) return false;
+
+		this.element.value += this.completion;
+		this.setSeletionRange(this.element);
+		this.updateCompletion();
+		this.saveMatchesRequest(this.element.value);
+		this.previewSiteSearch();
+
+		return true;
+	}
+
 	setSeletionRange(input) {
 		const n = input.value.length;
 		setTimeout(() => {
@@ -552,17 +987,16 @@ class Search {
 		}, 0);
 	}
 
-	reindexSuggests() {
-		if (!this.suggest_removed) return;
-		this.suggests.forEach((v, i) => this.suggests[i].id = i);
-		this.saveSuggests();
-		this.suggest_removed = false;
-	}
-
 	removeSuggest(target) {
 		const id = target.parentNode.dataset.suggestId;
-		const indx = this.suggests.findIndex(v => v.id === +id);
-		this.suggests.splice(indx, 1);
+		// отмена возвращает только записи, удаленные этим нажатием
+		this.sendMessage({ "query": "suggest_remove", "data": [+id] }, response => {
+			if (response.action === "suggest_removed" && response.data.length)
+				this.showUndo((this.lang === 'ru' ? 'Подсказка удалена' : 'Suggest removed'), () => {
+					this.sendMessage({ "query": "suggest_restore", "data": response.data });
+				});
+		});
+		this.matches_request = this.matches_request.filter(v => v.id !== +id);
 
 		const suggests = document.querySelectorAll('.mdl-textfield__suggests-suggest');
 		const elem = [...suggests].filter((v, i) => v.dataset.suggestId && +v.dataset.suggestId === +id)[0];
@@ -572,8 +1006,6 @@ class Search {
 			elem.classList.add('is-remove');
 		}
 
-		this.suggest_removed = true;
-
 	}
 
 	removeSuggests() {
@@ -589,7 +1021,6 @@ class Search {
 
 		this.suggests_collection = [];
 		this.suggests_show = false;
-		this.reindexSuggests();
 	}
 
 	removePlugSuggest() {
@@ -612,27 +1043,53 @@ class Search {
 
 	buildSuggests() {
 		this.removeSuggests();
-		this.reindexSuggests();
 
 		const suggests = document.getElementById('suggests_search');
 
-		if (!this.matches_request.length) return;
+		if (!this.hasSuggests()) return;
+
+		this.appendLinkSuggests(suggests.firstElementChild, (this.lang === 'ru' ? 'Перейти на вкладку' : 'Switch to tab'), this.tab_matches);
+
+		if (this.calc_answer) {
+			this.addPlugSuggest(suggests.firstElementChild, this.tab_matches.length);
+
+			let answer = utils.addElement('li', 'mdl-textfield__suggests-suggest mdl-textfield__suggests-answer', false, false, false, {'data-answer': this.calc_answer.answer});
+			let span = utils.addElement('span', 'mdl-textfield__suggests-text', false, '= ' + this.calc_answer.answer);
+			let button = utils.addElement('button', 'mdl-textfield__suggests-button', false, (this.lang === 'ru' ? 'Копировать' : 'Copy'), false);
+			answer.appendChild(span);
+			answer.appendChild(button);
+
+			suggests.firstElementChild.appendChild(answer);
+		}
 
 		this.matches_request.some((v, i) => {
 
 			if (i > 9) return true;
 
-			this.addPlugSuggest(suggests.firstElementChild, i);
+			this.addPlugSuggest(suggests.firstElementChild, i + this.tab_matches.length + (this.calc_answer ? 1 : 0));
 
-			let suggest = utils.addElement('li', 'mdl-textfield__suggests-suggest', false, false, false, {'data-suggest-id': v.id});
-			let span = utils.addElement('span', 'mdl-textfield__suggests-text', false, v.request);
+			let suggest = utils.addElement('li', 'mdl-textfield__suggests-suggest', false, false, false, {'data-suggest-id': v.id, 'data-engine': v.engine || ''});
+			if (this.search_engine_data[v.engine]) {
+				let favicon = utils.addElement('img', 'mdl-textfield__suggests-icon', false, false, false, {'src': this.getFaviconUrl(this.search_engine_data[v.engine].favicon), 'width': 16, 'height': 16});
+				favicon.addEventListener('error', function(e) {
+					this.src = chrome.extension.getURL('img/no_favicon.png');
+				});
+				suggest.appendChild(favicon);
+			}
+			let span = utils.addElement('span', 'mdl-textfield__suggests-text');
+			let meta = utils.addElement('span', 'mdl-textfield__suggests-meta', false, this.formatSuggestMeta(v));
 			let button = utils.addElement('button', 'mdl-textfield__suggests-button', false, (this.lang === 'ru' ? 'Удалить' : 'Remove'), false);
+			this.appendHighlighted(span, v.request, v.indices);
 			suggest.appendChild(span);
+			suggest.appendChild(meta);
 			suggest.appendChild(button);
 
 			suggests.firstElementChild.appendChild(suggest);
 		});
 
+		this.appendLinkSuggests(suggests.firstElementChild, (this.lang === 'ru' ? 'Закладки' : 'Bookmarks'), this.bookmark_matches, this.bookmark_icon);
+		this.appendLinkSuggests(suggests.firstElementChild, (this.lang === 'ru' ? 'История' : 'History'), this.history_matches);
+
 		this.suggests_collection = document.querySelectorAll('.mdl-textfield__suggests-suggest');
 
 		if (!this.suggests_show) {
@@ -642,105 +1099,209 @@ class Search {
 
 	}
 
-	saveMatchesRequest(request, e) {
-		const re = /^(.+:)/;
-		request = request.replace(re, '').toLowerCase();
+	hasSuggests() {
+		return !!(this.tab_matches.length || this.matches_request.length || this.calc_answer || this.history_matches.length || this.bookmark_matches.length);
+	}
 
-		if (!request) return false;
+	// раздел подсказок со ссылками: заголовок, название, папка и адрес страницы
+	appendLinkSuggests(ul, caption, links, icon) {
+		if (!links.length) return false;
+
+		this.addPlugSuggest(ul, ul.querySelectorAll('.mdl-textfield__suggests-suggest').length);
+		ul.appendChild(utils.addElement('li', 'mdl-textfield__suggests-caption', false, caption));
+
+		links.forEach(v => {
+			let suggest = utils.addElement('li', 'mdl-textfield__suggests-suggest mdl-textfield__suggests-link', false, false, false, {'data-url': v.url});
+			if (v.id) suggest.dataset.tabId = v.id;
+			let span = utils.addElement('span', 'mdl-textfield__suggests-text');
+			let url = utils.addElement('span', 'mdl-textfield__suggests-url', false, [v.path, v.url].filter(v => v).join(' · '));
+			if (icon) {
+				let svg = utils.parseSvg(icon);
+				svg.classList.add('mdl-textfield__suggests-icon');
+				suggest.appendChild(svg);
+			} else if (v.favIconUrl) {
+				let favicon = utils.addElement('img', 'mdl-textfield__suggests-icon', false, false, false, {'src': v.favIconUrl, 'width': 16, 'height': 16});
+				favicon.addEventListener('error', function(e) {
+					this.src = chrome.extension.getURL('img/no_favicon.png');
+				});
+				suggest.appendChild(favicon);
+			}
+			this.appendHighlighted(span, v.title || v.url, v.indices);
+			suggest.appendChild(span);
+			suggest.appendChild(url);
 
-		const request_words = request.split(' ').filter(v => v);
+			ul.appendChild(suggest);
+		});
 
-		this.matches_request = [];
-		this.suggests.forEach((o, i) => {
-			const suggest = Object.assign({}, o);
-			const suggest_words = suggest.request.split(' ').filter(v => v);
+		return true;
+	}
 
-			request_words.some((v, n) => {
-				const request_split_word = v;
+	// совпавшие фрагменты и буквы оборачиваются в <mark>
+	appendHighlighted(el, text, indices) {
+		indices = indices || [];
+		let i = 0;
+
+		while (i < text.length) {
+			const marked = indices.indexOf(i) !== -1;
+			let j = i;
+			while (j < text.length && (indices.indexOf(j) !== -1) === marked) j++;
+			el.appendChild(marked ? utils.addElement('mark', 'mark__fragment', false, text.slice(i, j)) : document.createTextNode(text.slice(i, j)));
+			i = j;
+		}
 
-				return suggest_words.some((v1, n1) => {
-					const suggest_split_word = v1;
+		return el;
+	}
 
-					if (suggest_split_word.indexOf(request_split_word) === 0) {
-						this.matches_request.push({"id": suggest.id, "sort": suggest.typeCount, "request": suggest.request});
-						return true;
-					}
+	// сколько раз и как давно использовался запрос: 3× · 2 days ago
+	formatSuggestMeta(suggest) {
+		const units = [['year', 31536000], ['month', 2592000], ['week', 604800], ['day', 86400], ['hour', 3600], ['minute', 60]];
+		const seconds = Math.max(0, Math.round((Date.now() - suggest.lastUsed) / 1000));
+		const unit = units.filter(v => seconds >= v[1])[0];
+		const rtf = new Intl.RelativeTimeFormat(this.lang, {numeric: 'auto'});
+		const ago = unit ? rtf.format(-Math.floor(seconds / unit[1]), unit[0]) : rtf.format(0, 'second');
 
-					return false;
-				});
+		return `${(suggest.typeCount || 0) + 1}× · ${suggest.lastUsed ? ago : ''}`.replace(/ · $/, '');
+	}
 
-			});
+	// выбранная подсказка со ссылкой
+	getActiveLink() {
+		return [...(this.suggests_collection || [])].filter(v => v.classList.contains('is-active') && v.dataset.url)[0] || null;
+	}
 
-		});
+	// ищет страницы в истории браузера и закладках; запросы с сокращениями поисковиков не ищутся
+	searchLinks(value) {
+		const type = resolver.resolve(value, this.getResolverSettings()).type;
+		const links = type === 'search' || type === 'url';
+
+		if (!links) this.tab_matches = [];
+		if (!links || !this.history_suggests) this.history_matches = [];
+		if (!links || !this.bookmark_suggests) this.bookmark_matches = [];
+		if (!links) return false;
+
+		this.sendMessage({ "query": "tabs_search", "data": {"text": value.trim()} });
+		if (this.history_suggests)
+			this.sendMessage({ "query": "history", "data": {"text": value.trim(), "limit": this.history_limit} });
+		if (this.bookmark_suggests)
+			this.sendMessage({ "query": "bookmarks", "data": {"text": value.trim(), "limit": this.bookmark_limit} });
+		return true;
+	}
 
-		this.matches_request.sort((a,b) => b.sort - a.sort);
+	// ответ Background приходит асинхронно, устаревшие ответы пропускаются
+	setLinkMatches(prop, data) {
+		if (!this.search || data.text !== this.element.value.trim()) return false;
+
+		this[prop] = data.items;
+		if (this.hasSuggests()) {
+			this.buildSuggests();
+		} else {
+			this.removeSuggests();
+		}
 
 		return true;
 	}
 
-	openRequest(val) {
-		const request = val;
-		const open = this.self ? '_self' : this.open;
+	// вкладки, у которых название или адрес совпадают с запросом
+	setTabMatches(data) {
+		const text = data.text.toLowerCase();
+		const items = data.items
+			.map(v => {
+				const m = matcher.match(text, v.title || '');
+				const score = Math.max(m ? m.score : 0, ~(v.url || '').toLowerCase().indexOf(text) ? 0.7 : 0);
+				return {"id": v.id, "title": v.title, "url": v.url, "favIconUrl": v.favIconUrl, "score": score, "indices": m ? m.indices : []};
+			})
+			.filter(v => v.score >= 0.6)
+			.sort((a, b) => b.score - a.score)
+			.slice(0, this.tab_limit);
+
+		return this.setLinkMatches('tab_matches', {"text": data.text, "items": items});
+	}
 
-		const parseShortcutSearchEgine = (request) => {
-			const o1 = this.search_engine_data;
-			const re = /^(.+):(.+)/;
-			const parse = re.exec(request);
+	switchToTab(id) {
+		this.sendMessage({ "query": "update", "data": +id });
+		this.search = false;
+		this.toggleSearch();
+	}
 
-			for (let o2 in o1) {
-				let s = o1[o2].shortcut;
+	openLink(url, target) {
+		if (target) {
+			this.sendMessage({ "query": "open", "data": {"urls": [url], "target": target} });
+		} else {
+			window.open(url, this.self ? '_self' : this.open);
+		}
 
-				if (request === s) return o1[o2];
-				if (parse && parse[1] === s) {
-					o1[o2].url = parse[2];
-					o1[o2].key = o2;
-					return o1[o2];
-				}
-			}
+		this.search = false;
+		this.toggleSearch();
+	}
 
-			return false;
-		};
+	// ответ калькулятора выбран стрелками или, при явном вычислении, не выбрана другая подсказка
+	isAnswerSelected() {
+		const active = [...(this.suggests_collection || [])].filter(v => v.classList.contains('is-active'))[0];
+		return active ? !!active.dataset.answer : !!this.calc_answer.explicit;
+	}
 
-		const parseCustomShortCut = (request) => {
-			const re = /^(.+):([^/]+)(.*)?/;
-			const req = re.exec(request);
+	copyAnswer() {
+		const answer = document.querySelector('.mdl-textfield__suggests-answer');
+		if (!answer) return false;
 
-			let shortcut = this.shortcuts.filter((v, idx) => re.exec(v)[1] === (req ? req[1] : request))[0];
+		const textarea = utils.addElement('textarea', false, false, answer.dataset.answer, false, {'style': 'position: fixed; top: -100px; opacity: 0;'});
+		document.documentElement.appendChild(textarea);
+		textarea.select();
+		document.execCommand('copy');
+		textarea.remove();
 
-			return shortcut && !req ?
-				re.exec(shortcut)[2] :
-				shortcut && req ?
-				re.exec(shortcut)[2] + re.exec(shortcut)[3] + req[2] :
-				false;
-		};
+		answer.lastElementChild.textContent = (this.lang === 'ru' ? 'Скопировано' : 'Copied');
+		this.element.focus();
+		return true;
+	}
 
-		const parseDomain = (request) => {
-			const zone = /\.[a-zA-Z]+$/g;
-			const url = /(?:http[s]?:\/\/)?(.+)/i;
+	// нечеткое совпадение с опечатками, сортировка по frecency (частота и давность использования);
+	// ищет SuggestStore в фоновой странице, ответ приходит в setSuggestMatches
+	saveMatchesRequest(request, e) {
+		const query = this.getSuggestsQuery(request);
 
-			return zone.test(request) ? url.exec(request)[1] : false;
-		};
+		if (!query.text.trim() && !query.engine) return false;
 
-		const { origin, search, favicon, url, key } = parseShortcutSearchEgine(request);
-		const parse_engine = origin;
-		const parse_custom = parseCustomShortCut(request);
-		const parse_domain = parseDomain(request);
+		this.sendMessage({ "query": "suggests", "data": {"text": query.text, "engine": query.engine, "limit": this.suggests_limit} });
 
-		if (parse_engine) {
-			window.open(url ? origin + search + url : origin, open);
-			if (key) {
-				delete this.search_engine_data[key].url;
-				delete this.search_engine_data[key].key;
-			}
-		} else if (parse_custom) {
-			window.open(`http://${parse_custom}`, open);
-		} else if (parse_domain) {
-			window.open(`http://${parse_domain}`, open);
+		return true;
+	}
+
+	setSuggestMatches(data) {
+		const query = this.getSuggestsQuery(this.element.value);
+		if (!this.search || data.text !== query.text || data.engine !== query.engine) return false;
+
+		this.matches_request = data.items;
+		if (this.hasSuggests()) {
+			this.buildSuggests();
+		} else {
+			this.removeSuggests();
+		}
+		this.updateCompletion();
+
+		return true;
+	}
+
+	// Shift - новое окно, Alt - фоновая вкладка, Ctrl + Shift - окно инкогнито
+	getOpenTarget(e) {
+		if (e.ctrlKey && e.shiftKey) return 'incognito';
+		if (e.shiftKey) return 'window';
+		if (e.altKey) return 'background';
+		return false;
+	}
+
+	openRequest(val, target) {
+		const open = this.self ? '_self' : this.open;
+		const resolved = resolver.resolve(val, this.getResolverSettings());
+
+		if (!resolved.urls.length) return;
+
+		// формы POST отправляет страница расширения post.html в нужной вкладке
+		if (resolved.forms.length) {
+			this.sendMessage({ "query": "open", "data": {"urls": resolved.urls, "forms": resolved.forms, "target": target || (this.self ? 'self' : 'tab')} });
+		} else if (target || resolved.type === 'group') {
+			this.sendMessage({ "query": "open", "data": {"urls": resolved.urls, "target": target || 'tab'} });
 		} else {
-			if (!request) return;
-			// open url
-			const { origin, search } = this.search_engine_data[this.search_engine];
-			window.open(origin + search + request, open);
+			window.open(resolved.urls[0], open);
 		}
 
 		this.search = false;
@@ -751,8 +1312,11 @@ class Search {
 	removeLinksTab() {
 		const card = document.querySelector('.tab-nav');
 		card.remove();
+		document.getElementById('f_tabs_filter').remove();
 		this.tabs = false;
 		this.tabs_collection = null;
+		this.tabs_all = [];
+		this.tabs_filter = '';
 		this.toggleScroll();
 		this.toggleBackground();
 	}
@@ -760,38 +1324,8 @@ class Search {
 	buildLinksTab(arr) {
 		const card = utils.addElement('div', 'mdl-card fs-search tab-nav mdl-shadow--2dp is-hidden--fs-search');
 
-		const appendData = function(tab, ...args) {
-			args.forEach((v, n) => {
-				tab.appendChild(v);
-			});
-		};
-
 		arr.forEach((v, n) => {
-			const favicon = utils.addElement('img', 'tab-nav__favicon');
-
-			favicon.src = v.favIconUrl;
-
-			const j = n += 1;
-			const tab = utils.addElement('div', (v.active ? 'tab-nav__tab tab-nav__tab--load is-active' : 'tab-nav__tab tab-nav__tab--load'), false, false, false, {
-				'tabIndex': j,
-				'data-id': v.id
-			});
-			const number = utils.addElement('span', 'tab-nav__number', false, (j + '.'));
-			const title = utils.addElement('span', 'tab-nav__title', false, v.title);
-			const close = utils.addElement('span', 'tab-nav__close svg-icon', false);
-
-			favicon.addEventListener('load', function(e) {
-				appendData(tab, this, number, title, close);
-				this.parentNode.classList.remove('tab-nav__tab--load');
-			});
-
-			favicon.addEventListener('error', function(e) {
-				this.src =  chrome.extension.getURL("img/no_favicon.png");
-				appendData(tab, this, number, title, close);
-				this.parentNode.classList.remove('tab-nav__tab--load');
-			});
-
-			card.appendChild(tab);
+			card.appendChild(this.buildLinkTab(v, n + 1));
 		});
 
 		this.tabs = true;
@@ -800,10 +1334,59 @@ class Search {
 		setTimeout(() => { card.classList.remove('is-hidden--fs-search'); }, 10);
 
 		document.documentElement.appendChild(card);
+		document.documentElement.appendChild(utils.addElement('div', 'fs-search tab-nav__filter is-hidden--fs-search', 'f_tabs_filter'));
 		this.tabs_collection = Array.from(document.querySelectorAll('.tab-nav__tab'));
+		this.tabs_all = this.tabs_collection.slice();
+		this.tabs_filter = '';
 		this.checkTabOutView();
 	}
 
+	getTabUrl(url) {
+		return (url || '').replace(/^https?:\/\/(www\.)?/, '');
+	}
+
+	// нечеткий поиск по заголовку и адресу; лучшие совпадения выше, первое активно для Enter
+	filterTabs(text) {
+		const card = document.querySelector('.tab-nav');
+		const filter = document.getElementById('f_tabs_filter');
+		const filtered = !!text.trim();
+		const matches = [];
+
+		this.tabs_filter = text;
+		filter.textContent = text;
+		filter.classList[text ? 'remove' : 'add']('is-hidden--fs-search');
+		card.classList[filtered ? 'add' : 'remove']('tab-nav--filtered');
+
+		this.tabs_all.forEach((tab, i) => {
+			const title = tab.dataset.title;
+			const url = this.getTabUrl(tab.dataset.url);
+			const m_title = filtered ? matcher.match(text, title) : null;
+			const m_url = filtered ? matcher.match(text, url) : null;
+			const title_el = tab.querySelector('.tab-nav__title') || utils.addElement('span');
+			const url_el = tab.querySelector('.tab-nav__url') || utils.addElement('span');
+
+			while (title_el.firstChild) title_el.removeChild(title_el.firstChild);
+			while (url_el.firstChild) url_el.removeChild(url_el.firstChild);
+			this.appendHighlighted(title_el, title, m_title && m_title.indices);
+			this.appendHighlighted(url_el, url, m_url && m_url.indices);
+
+			if (!filtered || m_title || m_url)
+				matches.push({'tab': tab, 'score': Math.max(m_title ? m_title.score : 0, m_url ? m_url.score : 0), 'index': i});
+		});
+
+		if (filtered) matches.sort((a, b) => b.score - a.score || a.index - b.index);
+
+		this.tabs_collection = matches.map(v => v.tab);
+		this.tabs_all.forEach(tab => tab.classList[~this.tabs_collection.indexOf(tab) ? 'remove' : 'add']('tab-nav__tab--hidden'));
+		this.tabs_collection.forEach(tab => card.appendChild(tab));
+
+		if (filtered) {
+			this.tabs_all.forEach(tab => tab.classList.remove('is-active'));
+			if (this.tabs_collection.length) this.tabs_collection[0].classList.add('is-active');
+		}
+		card.scrollTo(0, 0);
+	}
+
 	scrollTabs(key) {
 		const tab_window = document.querySelector('.tab-nav');
 		const tab_active = this.tabs_collection.filter((v) => v.classList.contains('is-active'))[0];
@@ -882,6 +1465,56 @@ class Search {
 		elements[index_will_active].classList.add('is-active');
 	}
 
+	buildLinkTab(v, j) {
+		const appendData = function(tab, ...args) {
+			args.forEach((v, n) => {
+				tab.appendChild(v);
+			});
+		};
+
+		const favicon = utils.addElement('img', 'tab-nav__favicon');
+
+		favicon.src = v.favIconUrl;
+
+		const tab = utils.addElement('div', (v.active ? 'tab-nav__tab tab-nav__tab--load is-active' : 'tab-nav__tab tab-nav__tab--load'), false, false, false, {
+			'tabIndex': j,
+			'data-id': v.id,
+			'data-url': v.url,
+			'data-title': v.title || ''
+		});
+		const number = utils.addElement('span', 'tab-nav__number', false, (j + '.'));
+		const text = utils.addElement('span', 'tab-nav__text');
+		const title = utils.addElement('span', 'tab-nav__title', false, v.title);
+		const url = utils.addElement('span', 'tab-nav__url', false, this.getTabUrl(v.url));
+		const close = utils.addElement('span', 'tab-nav__close svg-icon', false);
+
+		text.appendChild(title);
+		text.appendChild(url);
+
+		favicon.addEventListener('load', function(e) {
+			appendData(tab, this, number, text, close);
+			this.parentNode.classList.remove('tab-nav__tab--load');
+		});
+
+		favicon.addEventListener('error', function(e) {
+			this.src =  chrome.extension.getURL("img/no_favicon.png");
+			appendData(tab, this, number, text, close);
+			this.parentNode.classList.remove('tab-nav__tab--load');
+		});
+
+		return tab;
+	}
+
+	// восстановленная вкладка встает на свое место в окне; фильтр применяется заново
+	addLinkTab(v) {
+		const card = document.querySelector('.tab-nav');
+		const tab = this.buildLinkTab(Object.assign({}, v, {'active': false}), v.index + 1);
+
+		card.appendChild(tab);
+		this.tabs_all.splice(Math.min(v.index, this.tabs_all.length), 0, tab);
+		this.filterTabs(this.tabs_filter);
+	}
+
 	removeLinkTab(id) {
 		const point = this.tabs_collection.findIndex(elem => {
 			return elem.dataset.id == id;
@@ -891,16 +1524,32 @@ class Search {
 		document.querySelector(`div[data-id="${id}"]`).remove();
 
 		this.tabs_collection.splice(point, 1);
+		this.tabs_all = this.tabs_all.filter(elem => elem.dataset.id != id);
 	}
 
-	sendMessage(msg = {}) {
+	// callback получает ответ на это сообщение, после общей обработки
+	sendMessage(msg, callback) {
 		chrome.runtime.sendMessage(msg, response => {
 			if (msg.query === "tabs")
 				this.buildLinksTab(response);
 			if (response.action === "tab_removed")
 				this.removeLinkTab(response.data);
-			if (response.action === "update")
+			if (response.action === "update" && this.tabs)
 				this.removeLinksTab();
+			if (response.action === "suggests")
+				this.setSuggestMatches(response.data);
+			if (response.action === "tab_restored" && this.tabs)
+				this.addLinkTab(response.data);
+			if (response.action === "suggest_restored" && this.search)
+				this.saveMatchesRequest(this.element.value);
+			if (response.action === "tabs_search")
+				this.setTabMatches(response.data);
+			if (response.action === "history")
+				this.setLinkMatches('history_matches', response.data);
+			if (response.action === "bookmarks")
+				this.setLinkMatches('bookmark_matches', response.data);
+			if (callback)
+				callback(response);
 		});
 	}
 
@@ -916,12 +1565,6 @@ class Search {
 		chrome.storage.local.clear();
 	}
 
-	onbeforeunload() {
-		window.onbeforeunload = () => {
-			this.reindexSuggests();
-		};
-	}
-
 }
 
 const srch = new Search();
@@ -929,13 +1572,13 @@ const srch = new Search();
 srch.rewriteProps()
 	.then(
 		result => {
-			srch.addPrefixLangSearchEngine();
+			srch.applyEngineRegions();
+			srch.addCustomSearchEngines();
 			srch.appendBackground();
 			srch.appendSearch();
+			srch.appendSnackbar();
 			srch.getMessage();
 			srch.docEvents();
-			srch.getSuggests();
-			srch.onbeforeunload();
 		},
 		error => console.log(error.message)
 	);
@@ -0,0 +1,258 @@
+var calculator = (function() {
+
+  // unit: [quantity, factor to the base unit of the quantity]
+  var UNITS = {
+    'mm': ['length', 0.001],
+    'cm': ['length', 0.01],
+    'm': ['length', 1],
+    'km': ['length', 1000],
+    'in': ['length', 0.0254],
+    'ft': ['length', 0.3048],
+    'yd': ['length', 0.9144],
+    'mi': ['length', 1609.344],
+    'mg': ['mass', 0.000001],
+    'g': ['mass', 0.001],
+    'kg': ['mass', 1],
+    't': ['mass', 1000],
+    'oz': ['mass', 0.028349523125],
+    'lb': ['mass', 0.45359237],
+    'ml': ['volume', 0.001],
+    'l': ['volume', 1],
+    'cup': ['volume', 0.2365882365],
+    'pt': ['volume', 0.473176473],
+    'qt': ['volume', 0.946352946],
+    'gal': ['volume', 3.785411784],
+    'ms': ['time', 0.001],
+    's': ['time', 1],
+    'min': ['time', 60],
+    'h': ['time', 3600],
+    'd': ['time', 86400],
+    'wk': ['time', 604800],
+    'b': ['data', 1],
+    'kb': ['data', 1024],
+    'mb': ['data', 1048576],
+    'gb': ['data', 1073741824],
+    'tb': ['data', 1099511627776],
+    'm/s': ['speed', 1],
+    'km/h': ['speed', 1 / 3.6],
+    'mph': ['speed', 0.44704],
+    'kn': ['speed', 1852 / 3600],
+    'c': ['temperature'],
+    'f': ['temperature'],
+    'k': ['temperature']
+  };
+
+  var ALIASES = {
+    'meter': 'm', 'meters': 'm', 'metre': 'm', 'metres': 'm',
+    'kilometer': 'km', 'kilometers': 'km', 'kilometre': 'km', 'kilometres': 'km',
+    'centimeter': 'cm', 'centimeters': 'cm', 'millimeter': 'mm', 'millimeters': 'mm',
+    'inch': 'in', 'inches': 'in', 'foot': 'ft', 'feet': 'ft', 'yard': 'yd', 'yards': 'yd',
+    'mile': 'mi', 'miles': 'mi',
+    'gram': 'g', 'grams': 'g', 'kilogram': 'kg', 'kilograms': 'kg', 'kilo': 'kg', 'kilos': 'kg',
+    'ton': 't', 'tons': 't', 'tonne': 't', 'tonnes': 't',
+    'ounce': 'oz', 'ounces': 'oz', 'pound': 'lb', 'pounds': 'lb', 'lbs': 'lb',
+    'liter': 'l', 'liters': 'l', 'litre': 'l', 'litres': 'l', 'milliliter': 'ml', 'milliliters': 'ml',
+    'cups': 'cup', 'pint': 'pt', 'pints': 'pt', 'quart': 'qt', 'quarts': 'qt', 'gallon': 'gal', 'gallons': 'gal',
+    'sec': 's', 'second': 's', 'seconds': 's', 'minute': 'min', 'minutes': 'min',
+    'hr': 'h', 'hour': 'h', 'hours': 'h', 'day': 'd', 'days': 'd', 'week': 'wk', 'weeks': 'wk',
+    'byte': 'b', 'bytes': 'b',
+    'kmh': 'km/h', 'kph': 'km/h', 'knot': 'kn', 'knots': 'kn',
+    '°c': 'c', 'celsius': 'c', '°f': 'f', 'fahrenheit': 'f', 'kelvin': 'k'
+  };
+
+  var LABELS = {'c': '°C', 'f': '°F', 'k': 'K'};
+
+  var CONVERSION_RE = /^(.+?)\s*([a-z°][a-z°\/]*)\s+(?:in|to|into|as|в)\s+([a-z°][a-z°\/]*)$/i;
+
+  var toCelsius = {
+    'c': function(v) { return v; },
+    'f': function(v) { return (v - 32) * 5 / 9; },
+    'k': function(v) { return v - 273.15; }
+  };
+
+  var fromCelsius = {
+    'c': function(v) { return v; },
+    'f': function(v) { return v * 9 / 5 + 32; },
+    'k': function(v) { return v + 273.15; }
+  };
+
+  var tokenize = function(str) {
+    var re = /\s*(?:(\d+(?:\.\d*)?|\.\d+)(?:e([+-]?\d+))?|([a-z]+)|(\*\*|[-+*\/^%()×÷]))/gi;
+    var tokens = [];
+    var pos = 0;
+    var m;
+
+    while (pos < str.length) {
+      re.lastIndex = pos;
+      m = re.exec(str);
+      if (!m || m.index !== pos) {
+        if (/^\s*$/.test(str.slice(pos))) break;
+        return null;
+      }
+      if (m[1] !== undefined) {
+        tokens.push({'type': 'num', 'value': parseFloat(m[1] + (m[2] ? 'e' + m[2] : ''))});
+      } else if (m[3] !== undefined) {
+        tokens.push({'type': 'name', 'value': m[3].toLowerCase()});
+      } else {
+        tokens.push({'type': 'op', 'value': m[4] === '**' ? '^' : m[4] === '×' ? '*' : m[4] === '÷' ? '/' : m[4]});
+      }
+      pos = re.lastIndex;
+    }
+
+    return tokens;
+  };
+
+  // recursive descent: expr = term {(+|-) term}; term = factor {(*|/|%) factor};
+  // factor = (-|+) factor | primary [^ factor]
+  var parse = function(tokens) {
+    var i = 0;
+    var operators = 0;
+    var constants = {'pi': Math.PI, 'e': Math.E};
+    var functions = {'sqrt': Math.sqrt, 'abs': Math.abs, 'round': Math.round, 'floor': Math.floor, 'ceil': Math.ceil};
+
+    var peek = function() { return tokens[i]; };
+    var isOp = function(v) { return peek() && peek().type === 'op' && peek().value === v; };
+    var fail = function() { throw new Error('Invalid expression'); };
+
+    var primary = function() {
+      var token = tokens[i++];
+      var value;
+
+      if (!token) fail();
+      if (token.type === 'num') return token.value;
+      if (token.type === 'name') {
+        if (constants.hasOwnProperty(token.value)) return constants[token.value];
+        if (functions.hasOwnProperty(token.value) && isOp('(')) {
+          operators++;
+          return functions[token.value](primary());
+        }
+        fail();
+      }
+      if (token.value === '(') {
+        value = expr();
+        if (!isOp(')')) fail();
+        i++;
+        return value;
+      }
+      fail();
+    };
+
+    // ^ binds tighter than unary minus: -2^2 is -4, 2^-1 is 0.5
+    var power = function() {
+      var value = primary();
+      if (isOp('^')) {
+        i++;
+        operators++;
+        return Math.pow(value, factor());
+      }
+      return value;
+    };
+
+    var factor = function() {
+      if (isOp('-')) { i++; return -factor(); }
+      if (isOp('+')) { i++; return factor(); }
+      return power();
+    };
+
+    var term = function() {
+      var value = factor();
+      var op;
+      while (isOp('*') || isOp('/') || isOp('%')) {
+        op = tokens[i++].value;
+        operators++;
+        value = op === '*' ? value * factor() : op === '/' ? value / factor() : value % factor();
+      }
+      return value;
+    };
+
+    var expr = function() {
+      var value = term();
+      var op;
+      while (isOp('+') || isOp('-')) {
+        op = tokens[i++].value;
+        operators++;
+        value = op === '+' ? value + term() : value - term();
+      }
+      return value;
+    };
+
+    var value = expr();
+    if (i !== tokens.length) fail();
+
+    return {'value': value, 'operators': operators};
+  };
+
+  var format = function(value) {
+    return String(+value.toPrecision(12));
+  };
+
+  var normalizeUnit = function(unit) {
+    unit = unit.toLowerCase();
+    unit = ALIASES[unit] || unit;
+    return UNITS[unit] ? unit : null;
+  };
+
+  // returns the parsed value or null
+  var evaluate = function(str) {
+    var tokens = tokenize(str);
+    var result;
+
+    if (!tokens || !tokens.length) return null;
+    try {
+      result = parse(tokens);
+    } catch (error) {
+      return null;
+    }
+
+    return isFinite(result.value) ? result : null;
+  };
+
+  var convert = function(str) {
+    var m = CONVERSION_RE.exec(str);
+    var from, to, value, result;
+
+    if (!m) return null;
+
+    from = normalizeUnit(m[2]);
+    to = normalizeUnit(m[3]);
+    value = evaluate(m[1]);
+
+    if (!from || !to || !value || UNITS[from][0] !== UNITS[to][0]) return null;
+
+    result = UNITS[from][0] === 'temperature' ?
+      fromCelsius[to](toCelsius[from](value.value)) :
+      value.value * UNITS[from][1] / UNITS[to][1];
+
+    return format(result) + ' ' + (LABELS[to] || to);
+  };
+
+  // phone numbers (555-1234) and dates (12/25) evaluate too, so only these count as a calculation:
+  // a leading =, an operator other than - and /, or - and / with spaces around them
+  var isExplicit = function(str) {
+    return /^=/.test(str) || /.[+]|[*^%×÷]|[a-z]\(/i.test(str) || /\s[-\/]\s/.test(str);
+  };
+
+  return {
+    // answer for an arithmetic expression (12*7.5) or a unit conversion (5 km in mi), otherwise false;
+    // explicit is false when the input may be a search as well
+    calculate: function(str) {
+      var input = (str || '').trim();
+      var expression = input.replace(/^=\s*/, '');
+      var value, answer;
+
+      if (!expression || /^\d{4}-\d{1,2}-\d{1,2}$/.test(expression)) return false;
+
+      answer = convert(expression);
+      if (answer) return {'expression': expression, 'answer': answer, 'explicit': true};
+
+      value = evaluate(expression);
+      if (value && value.operators) return {'expression': expression, 'answer': format(value.value), 'explicit': isExplicit(input)};
+
+      return false;
+    }
+  };
+
+})();
+
+if (typeof module === 'object' && module.exports)
+  module.exports = calculator;
@@ -0,0 +1,50 @@
+var test = require('node:test');
+var assert = require('node:assert');
+var calculator = require('./calculator.js');
+
+var describe = test.describe;
+var it = test.it;
+
+describe('calculate', function() {
+  it('evaluates expressions and conversions', function() {
+    assert.strictEqual(calculator.calculate('12*7.5').answer, '90');
+    assert.strictEqual(calculator.calculate('2^10').answer, '1024');
+    assert.strictEqual(calculator.calculate('sqrt(16) + 1').answer, '5');
+    assert.strictEqual(calculator.calculate('100 c in f').answer, '212 °F');
+  });
+
+  it('raises to a power before applying unary minus', function() {
+    assert.strictEqual(calculator.calculate('-2^2').answer, '-4');
+    assert.strictEqual(calculator.calculate('(-2)^2').answer, '4');
+    assert.strictEqual(calculator.calculate('2^-1').answer, '0.5');
+    assert.strictEqual(calculator.calculate('2^3^2').answer, '512');
+    assert.strictEqual(calculator.calculate('3 - -2^2').answer, '7');
+  });
+
+  it('ignores text, single numbers and dates', function() {
+    assert.strictEqual(calculator.calculate('kittens'), false);
+    assert.strictEqual(calculator.calculate('-5'), false);
+    assert.strictEqual(calculator.calculate('2024-01-05'), false);
+    assert.strictEqual(calculator.calculate('(555) 123-4567'), false);
+  });
+
+  it('marks clear calculations as explicit', function() {
+    ['2+2', '12*7.5', '2^10', 'sqrt(2)', '12 / 25', '7 - 3', '5 km in mi'].forEach(function(v) {
+      assert.strictEqual(calculator.calculate(v).explicit, true, v);
+    });
+  });
+
+  it('does not mark phone numbers and dates with - or / as explicit', function() {
+    ['555-1234', '12/25', '+375-29-1234567', '(555)-123-4567', '1/2/2020'].forEach(function(v) {
+      assert.strictEqual(calculator.calculate(v).explicit, false, v);
+    });
+  });
+
+  it('makes any expression explicit with a leading =', function() {
+    var result = calculator.calculate('= 555-1234');
+    assert.strictEqual(result.explicit, true);
+    assert.strictEqual(result.expression, '555-1234');
+    assert.strictEqual(result.answer, '-679');
+    assert.strictEqual(calculator.calculate('='), false);
+  });
+});
@@ -0,0 +1,177 @@
+class HistoryManager {
+	constructor() {
+		this.suggests = []; // сохраненные запросы из SuggestStore фоновой страницы
+		this.filtered = []; // запросы, подходящие под фильтр
+		this.selected = []; // id отмеченных запросов
+	}
+
+	getLang() {
+		const lang = document.querySelector('input[name="lang"]:checked');
+		return lang ? lang.value : 'en';
+	}
+
+	sendMessage(msg) {
+		return new Promise((resolve, reject) => {
+			chrome.runtime.sendMessage(msg, response => {
+				if (!response || !response.action) return reject(new Error(typeof response === 'string' ? response : 'No response'));
+				resolve(response.data);
+			});
+		});
+	}
+
+	loadSuggests() {
+		return this.sendMessage({"query": "suggests_all"})
+			.then(suggests => this.suggests = suggests);
+	}
+
+	filterSuggests() {
+		const filter = document.getElementById('history_filter').value.trim().toLowerCase();
+
+		this.filtered = this.suggests
+			.filter(v => !filter || ~v.request.indexOf(filter) || ~(v.engine || '').indexOf(filter))
+			.sort((a, b) => (b.lastUsed || 0) - (a.lastUsed || 0));
+		this.selected = this.selected.filter(id => this.filtered.some(v => v.id === id));
+
+		return this.filtered;
+	}
+
+	formatDate(time) {
+		return time ? new Date(time).toLocaleString(this.getLang()) : '';
+	}
+
+	buildList() {
+		const tbody = document.getElementById('history_list');
+
+		while (tbody.firstElementChild) {
+			tbody.removeChild(tbody.firstElementChild);
+		}
+
+		this.filterSuggests().forEach(v => {
+			const tr = utils.addElement('tr', 'history__row', false, false, false, {'data-id': v.id});
+			const check = utils.addElement('input', 'history__check', false, false, false, {'type': 'checkbox'});
+			const cells = [v.request, (v.typeCount || 0) + 1, this.formatDate(v.lastUsed), v.engine || ''];
+			const td = utils.addElement('td');
+
+			check.checked = ~this.selected.indexOf(v.id);
+			td.appendChild(check);
+			tr.appendChild(td);
+			cells.forEach(text => tr.appendChild(utils.addElement('td', false, false, String(text))));
+			tbody.appendChild(tr);
+		});
+
+		document.getElementById('history_empty').classList[this.filtered.length ? 'add' : 'remove']('is-hidden');
+		document.getElementById('history_select_all').checked = !!this.filtered.length && this.selected.length === this.filtered.length;
+	}
+
+	deleteSuggests(ids) {
+		if (!ids.length) return Promise.resolve(0);
+
+		this.selected = [];
+
+		return this.sendMessage({"query": "suggest_remove", "data": ids})
+			.then(() => this.loadSuggests())
+			.then(() => {
+				this.buildList();
+				return ids.length;
+			});
+	}
+
+	exportSuggests(format) {
+		const rows = this.filtered.map(v => {
+			return {
+				'request': v.request,
+				'count': (v.typeCount || 0) + 1,
+				'last_used': v.lastUsed ? new Date(v.lastUsed).toISOString() : '',
+				'engine': v.engine || ''
+			};
+		});
+		const csv = value => /[",\n]/.test(value) ? `"${String(value).replace(/"/g, '""')}"` : value;
+		const data = format === 'csv' ?
+			[Object.keys(rows[0] || {'request': '', 'count': '', 'last_used': '', 'engine': ''}).join(',')]
+				.concat(rows.map(v => Object.keys(v).map(k => csv(v[k])).join(',')))
+				.join('\n') :
+			JSON.stringify(rows, null, 2);
+		const url = URL.createObjectURL(new Blob([data], {'type': format === 'csv' ? 'text/csv' : 'application/json'}));
+		const link = utils.addElement('a', false, false, false, false, {'href': url, 'download': `fullscreen-search-history.${format}`});
+
+		document.body.appendChild(link);
+		link.click();
+		link.remove();
+		setTimeout(() => URL.revokeObjectURL(url), 1000);
+	}
+
+	showMessage(message) {
+		const snackbar = document.getElementById('snackbar');
+		if (snackbar && snackbar.MaterialSnackbar)
+			snackbar.MaterialSnackbar.showSnackbar({'message': message});
+	}
+
+	showDeleted(n) {
+		if (n) this.showMessage((this.getLang() === 'ru' ? 'Удалено: ' : 'Deleted: ') + n);
+	}
+
+	toggleHistory() {
+		const history = document.querySelector('.history');
+		history.classList.toggle('is-hidden');
+
+		if (!history.classList.contains('is-hidden')) {
+			this.loadSuggests()
+				.then(() => this.buildList());
+		}
+	}
+
+	docEvents() {
+		document.getElementById('history_filter').addEventListener('input', e => {
+			this.buildList();
+		});
+
+		document.addEventListener('change', e => {
+			const target = e.target;
+
+			if (target.id === 'history_select_all') {
+				this.selected = target.checked ? this.filtered.map(v => v.id) : [];
+				this.buildList();
+			}
+
+			if (target.classList.contains('history__check')) {
+				const id = +target.closest('.history__row').dataset.id;
+				const indx = this.selected.indexOf(id);
+				if (target.checked && indx === -1) this.selected.push(id);
+				if (!target.checked && ~indx) this.selected.splice(indx, 1);
+				document.getElementById('history_select_all').checked = this.selected.length === this.filtered.length;
+			}
+		});
+
+		document.addEventListener('click', e => {
+			const target = e.target.closest('[id]');
+			if (!target) return;
+
+			switch(target.id) {
+				case 'history_btn':
+				case 'history_close':
+					this.toggleHistory();
+					break;
+				case 'history_delete':
+					this.deleteSuggests(this.selected.slice())
+						.then(n => this.showDeleted(n));
+					break;
+				case 'history_delete_matching':
+					this.deleteSuggests(this.filtered.map(v => v.id))
+						.then(n => this.showDeleted(n));
+					break;
+				case 'history_export_json':
+					this.exportSuggests('json');
+					break;
+				case 'history_export_csv':
+					this.exportSuggests('csv');
+					break;
+				default:
+			}
+		});
+	}
+}
+
+document.addEventListener('DOMContentLoaded', () => {
+	const history_manager = new HistoryManager();
+	history_manager.docEvents();
+});
@@ -0,0 +1,195 @@
+var matcher = (function() {
+
+  var DAY = 86400000;
+
+  // frecency halves every two weeks without use
+  var HALF_LIFE = 14 * DAY;
+
+  // allowed typos for a word of the given length
+  var maxTypos = function(length) {
+    return length < 3 ? 0 : length < 6 ? 1 : 2;
+  };
+
+  // optimal string alignment distance (levenshtein with transpositions)
+  var distance = function(a, b) {
+    var d = [];
+    var i, j, cost;
+
+    for (i = 0; i <= a.length; i++) d[i] = [i];
+    for (j = 0; j <= b.length; j++) d[0][j] = j;
+
+    for (i = 1; i <= a.length; i++) {
+      for (j = 1; j <= b.length; j++) {
+        cost = a[i - 1] === b[j - 1] ? 0 : 1;
+        d[i][j] = Math.min(d[i - 1][j] + 1, d[i][j - 1] + 1, d[i - 1][j - 1] + cost);
+        if (i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1])
+          d[i][j] = Math.min(d[i][j], d[i - 2][j - 2] + 1);
+      }
+    }
+
+    return d[a.length][b.length];
+  };
+
+  var range = function(start, end) {
+    var arr = [];
+    for (var i = start; i < end; i++) arr.push(i);
+    return arr;
+  };
+
+  var words = function(text) {
+    var re = /\S+/g;
+    var arr = [];
+    var m;
+
+    while ((m = re.exec(text))) {
+      arr.push({'word': m[0], 'offset': m.index});
+    }
+
+    return arr;
+  };
+
+  // word of the request against a word of the suggestion; {score, indices} or null
+  var matchWord = function(word, target) {
+    var typos = maxTypos(word.length);
+    var pos, best, len, d, i, j, indices;
+
+    if (target === word) return {'score': 1, 'indices': range(0, target.length)};
+    if (target.indexOf(word) === 0) return {'score': 0.9, 'indices': range(0, word.length)};
+
+    pos = target.indexOf(word);
+    if (~pos && word.length > 1) return {'score': 0.7, 'indices': range(pos, pos + word.length)};
+
+    // typos in the typed part of the word: "gooogle", "yuotube"
+    if (typos) {
+      for (len = Math.max(1, word.length - typos); len <= Math.min(target.length, word.length + typos); len++) {
+        d = distance(word, target.slice(0, len));
+        if (d <= typos && (!best || d < best.d)) best = {'d': d, 'len': len};
+      }
+      if (best) return {'score': 0.6 - 0.15 * (best.d - 1), 'indices': range(0, best.len)};
+    }
+
+    // letters in order: "gthb" -> "github"
+    if (word.length > 1 && word[0] === target[0]) {
+      indices = [];
+      for (i = 0, j = 0; i < word.length && j < target.length; j++) {
+        if (word[i] === target[j]) {
+          indices.push(j);
+          i++;
+        }
+      }
+      if (i === word.length) return {'score': 0.4, 'indices': indices};
+    }
+
+    return null;
+  };
+
+  /**
+   * Fuzzy match of the request with a text.
+   *
+   * Every word of the request is compared with the words of the text by exact, prefix,
+   * substring, typo tolerant and letters-in-order match. Returns {score, indices}, where
+   * score is 0..1 and indices are positions of the matched characters in the text, or null.
+   */
+  var match = function(request, text) {
+    var request_words = words(request.toLowerCase());
+    var text_words = words(text.toLowerCase());
+    var indices = [];
+    var score = 0;
+
+    if (!request_words.length) return null;
+
+    request_words.forEach(function(v) {
+      var best = null;
+
+      text_words.forEach(function(t) {
+        var m = matchWord(v.word, t.word);
+        if (m && (!best || m.score > best.score)) {
+          best = m;
+          best.offset = t.offset;
+        }
+      });
+
+      if (best) {
+        score += best.score;
+        best.indices.forEach(function(i) {
+          if (indices.indexOf(best.offset + i) === -1) indices.push(best.offset + i);
+        });
+      }
+    });
+
+    if (!score) return null;
+
+    return {
+      'score': score / request_words.length,
+      'indices': indices.sort(function(a, b) { return a - b; })
+    };
+  };
+
+  // frequency of use decayed by the time since the last use
+  var frecency = function(entry, now) {
+    var elapsed = Math.max(0, (now || Date.now()) - (entry.lastUsed || 0));
+    return (entry.frecency || 0) * Math.pow(0.5, elapsed / HALF_LIFE);
+  };
+
+  // counts one more use of the entry
+  var touch = function(entry, now) {
+    now = now || Date.now();
+    entry.frecency = frecency(entry, now) + 1;
+    entry.lastUsed = now;
+    if (!entry.firstUsed) entry.firstUsed = now;
+    return entry;
+  };
+
+  // entries saved before frecency keep their order: typeCount uses at the time of migration
+  var migrate = function(entries, now) {
+    var changed = false;
+
+    now = now || Date.now();
+    entries.forEach(function(v) {
+      if (v.lastUsed) return;
+      v.frecency = (v.typeCount || 0) + 1;
+      v.firstUsed = now;
+      v.lastUsed = now;
+      changed = true;
+    });
+
+    return changed;
+  };
+
+  // matched entries sorted by match quality multiplied by frecency; an empty request matches every entry
+  var rank = function(request, entries, now) {
+    var list = [];
+
+    now = now || Date.now();
+    entries.forEach(function(v) {
+      var m = request.trim() ? match(request, v.request) : {'score': 1, 'indices': []};
+      if (!m) return;
+      list.push({
+        'id': v.id,
+        'request': v.request,
+        'engine': v.engine || '',
+        'typeCount': v.typeCount || 0,
+        'lastUsed': v.lastUsed || 0,
+        'sort': m.score * (1 + frecency(v, now)),
+        'indices': m.indices
+      });
+    });
+
+    return list.sort(function(a, b) { return b.sort - a.sort; });
+  };
+
+  return {
+    match: match,
+    matchWord: matchWord,
+    maxTypos: maxTypos,
+    distance: distance,
+    frecency: frecency,
+    touch: touch,
+    migrate: migrate,
+    rank: rank
+  };
+
+})();
+
+if (typeof module === 'object' && module.exports)
+  module.exports = matcher;
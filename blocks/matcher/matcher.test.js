@@ -0,0 +1,122 @@
+var test = require('node:test');
+var assert = require('node:assert');
+var matcher = require('./matcher.js');
+
+var describe = test.describe;
+var it = test.it;
+
+var DAY = 86400000;
+var NOW = Date.UTC(2024, 0, 15);
+
+describe('typo thresholds', function() {
+  it('allows no typos in short words and more in longer ones', function() {
+    assert.strictEqual(matcher.maxTypos(2), 0);
+    assert.strictEqual(matcher.maxTypos(3), 1);
+    assert.strictEqual(matcher.maxTypos(5), 1);
+    assert.strictEqual(matcher.maxTypos(6), 2);
+  });
+
+  it('counts a transposition as one edit', function() {
+    assert.strictEqual(matcher.distance('ab', 'ba'), 1);
+    assert.strictEqual(matcher.distance('kitten', 'sitting'), 3);
+    assert.strictEqual(matcher.distance('', 'abc'), 3);
+  });
+});
+
+describe('matchWord', function() {
+  it('ranks exact, prefix and substring matches in this order', function() {
+    assert.deepStrictEqual(matcher.matchWord('hub', 'hub'), {'score': 1, 'indices': [0, 1, 2]});
+    assert.deepStrictEqual(matcher.matchWord('goo', 'google'), {'score': 0.9, 'indices': [0, 1, 2]});
+    assert.deepStrictEqual(matcher.matchWord('tube', 'youtube'), {'score': 0.7, 'indices': [3, 4, 5, 6]});
+  });
+
+  it('tolerates typos in the typed part of the word', function() {
+    assert.strictEqual(matcher.matchWord('gogle', 'google').score, 0.6);
+    assert.strictEqual(matcher.matchWord('yuotube', 'youtube').score, 0.6);
+    assert.strictEqual(matcher.matchWord('gooogle', 'google').score, 0.6);
+  });
+
+  it('matches letters in order from the first letter', function() {
+    assert.deepStrictEqual(matcher.matchWord('gthb', 'github'), {'score': 0.4, 'indices': [0, 2, 3, 5]});
+    assert.strictEqual(matcher.matchWord('thb', 'github'), null);
+  });
+
+  it('does not match unrelated or too different words', function() {
+    assert.strictEqual(matcher.matchWord('xyz', 'github'), null);
+    assert.strictEqual(matcher.matchWord('ab', 'ba'), null);
+    assert.strictEqual(matcher.matchWord('h', 'github'), null);
+  });
+});
+
+describe('match', function() {
+  it('averages the best match of every word and maps indices to the text', function() {
+    assert.deepStrictEqual(matcher.match('gthb repo', 'my github repo'), {'score': 0.7, 'indices': [3, 5, 6, 8, 10, 11, 12, 13]});
+  });
+
+  it('ignores case and returns null without any match', function() {
+    assert.strictEqual(matcher.match('GitHub', 'github').score, 1);
+    assert.strictEqual(matcher.match('kittens', 'github'), null);
+    assert.strictEqual(matcher.match('  ', 'github'), null);
+  });
+});
+
+describe('frecency', function() {
+  it('halves every two weeks without use', function() {
+    assert.strictEqual(matcher.frecency({'frecency': 4, 'lastUsed': NOW}, NOW), 4);
+    assert.strictEqual(matcher.frecency({'frecency': 4, 'lastUsed': NOW - 14 * DAY}, NOW), 2);
+    assert.strictEqual(matcher.frecency({'frecency': 4, 'lastUsed': NOW - 28 * DAY}, NOW), 1);
+  });
+
+  it('adds a use to the decayed value', function() {
+    var entry = matcher.touch({'request': 'a', 'frecency': 4, 'lastUsed': NOW - 14 * DAY, 'firstUsed': 1}, NOW);
+    assert.strictEqual(entry.frecency, 3);
+    assert.strictEqual(entry.lastUsed, NOW);
+    assert.strictEqual(entry.firstUsed, 1);
+    assert.strictEqual(matcher.touch({'request': 'b'}, NOW).firstUsed, NOW);
+  });
+});
+
+describe('migrate', function() {
+  it('keeps the typeCount order of entries saved before frecency', function() {
+    var entries = [
+      {'id': 1, 'request': 'rare', 'typeCount': 1},
+      {'id': 2, 'request': 'often', 'typeCount': 9},
+      {'id': 3, 'request': 'never'}
+    ];
+
+    assert.strictEqual(matcher.migrate(entries, NOW), true);
+    assert.deepStrictEqual(matcher.rank('', entries, NOW).map(function(v) { return v.id; }), [2, 1, 3]);
+    assert.strictEqual(entries[1].frecency, 10);
+    assert.strictEqual(entries[1].lastUsed, NOW);
+  });
+
+  it('leaves entries with frecency alone', function() {
+    var entries = [{'request': 'a', 'typeCount': 9, 'frecency': 2, 'lastUsed': NOW - DAY}];
+
+    assert.strictEqual(matcher.migrate(entries, NOW), false);
+    assert.strictEqual(entries[0].frecency, 2);
+  });
+});
+
+describe('rank', function() {
+  it('weighs match quality by frecency', function() {
+    var entries = [
+      {'id': 1, 'request': 'github', 'frecency': 1, 'lastUsed': NOW},
+      {'id': 2, 'request': 'gitlab github', 'frecency': 5, 'lastUsed': NOW},
+      {'id': 3, 'request': 'kittens', 'frecency': 50, 'lastUsed': NOW}
+    ];
+    var list = matcher.rank('github', entries, NOW);
+
+    assert.deepStrictEqual(list.map(function(v) { return v.id; }), [2, 1]);
+    assert.deepStrictEqual(list[1].indices, [0, 1, 2, 3, 4, 5]);
+  });
+
+  it('lets a recent entry overtake one used long ago', function() {
+    var entries = [
+      {'id': 1, 'request': 'youtube music', 'frecency': 8, 'lastUsed': NOW - 70 * DAY},
+      {'id': 2, 'request': 'youtube', 'frecency': 2, 'lastUsed': NOW}
+    ];
+
+    assert.deepStrictEqual(matcher.rank('yuotube', entries, NOW).map(function(v) { return v.id; }), [2, 1]);
+  });
+});
@@ -9,6 +9,18 @@ class Popup {
 		this.keys = ['Control', 'Enter'];
 		this.shortcuts = ['f:facebook.com'];
 		this.exclude_urls = ['linkedin.com'];
+		this.custom_engines = [];
+		this.engine_groups = [];
+		this.intranet_suffixes = ['local', 'internal', 'lan', 'corp'];
+		this.engine_regions = {};
+		this.history_suggests = true;
+		this.bookmark_suggests = true;
+		this.suggests_max = '5000';
+		this.history_paused = false;
+		this.history_deny = [];
+		this.history_expire = '0';
+		this.sync_settings = false;
+		this.sync_history = false;
 	}
 
 	rewriteProps(o1, o2) {
@@ -17,6 +29,7 @@ class Popup {
 
 			if (typeof(val) === "object" && !(val instanceof Array)) {
 				let o3 = val;
+				if (!o1[prop]) o1[prop] = {};
 				for (let prop1 in o3) {
 					o1[prop][prop1] = o3[prop1];
 				}
@@ -138,10 +151,177 @@ class Popup {
 		}
 	}
 
+	buildEngineOptions() {
+		const select = document.getElementById('custom_engines');
+		const select_engine = document.getElementById('search_engine');
+		if (!select || !select_engine) return false;
+
+		this.removeOptions('custom_engines', true);
+		[...select_engine.options].forEach(v => {
+			if (v.dataset.custom) select_engine.removeChild(v);
+		});
+
+		this.custom_engines.forEach((v, i) => {
+			select.appendChild(utils.addElement('option', false, false, `${v.shortcut}:${v.name}`, v.name));
+			if (!v.bang)
+				select_engine.appendChild(utils.addElement('option', false, false, v.name, v.name, {'data-custom': true}));
+		});
+
+		for (let i = 0; i < select_engine.options.length; i++) {
+			if (select_engine.options[i].value === this.search_engine) select_engine.selectedIndex = i;
+		}
+
+		return true;
+	}
+
+	// импорт !bang из JSON в формате DuckDuckGo: [{"t": "yt", "s": "YouTube", "u": "https://youtube.com/results?search_query={{{s}}}"}]
+	importBangs(file) {
+		return new Promise((resolve, reject) => {
+			const reader = new FileReader();
+
+			reader.onload = () => {
+				let bangs;
+				try {
+					bangs = JSON.parse(reader.result);
+				} catch (error) {
+					return reject(error);
+				}
+				if (!(bangs instanceof Array)) return reject(new Error('Bangs must be an array'));
+
+				let count = 0;
+				bangs.forEach((v, i) => {
+					if (!v || !v.t || !v.u || /[\s:!]/.test(v.t)) return;
+
+					const url = new URL(v.u.replace(/\{\{\{s\}\}\}/g, '%s'), 'https://duckduckgo.com/').href.replace(/%25s/g, '%s');
+
+					if (~url.indexOf('%s')) {
+						let name = v.s || v.t;
+						const indx = this.custom_engines.findIndex(o => o.bang && o.shortcut === v.t);
+						if (indx === -1 && this.custom_engines.some(o => o.name === name)) name += ` !${v.t}`;
+						const engine = {'name': ~indx ? this.custom_engines[indx].name : name, 'shortcut': v.t, 'template': url, 'favicon': '', 'bang': true};
+						if (~indx) {
+							this.custom_engines[indx] = engine;
+						} else {
+							this.custom_engines.push(engine);
+						}
+					} else {
+						const shortcut = `${v.t}:${url}`;
+						if (this.shortcuts.indexOf(shortcut) === -1) this.shortcuts.push(shortcut);
+					}
+					count++;
+				});
+
+				this.buildOptions('shortcuts');
+				this.buildEngineOptions();
+				this.saveSearchProps(true);
+				resolve(count);
+			};
+			reader.onerror = () => reject(reader.error);
+			reader.readAsText(file);
+		});
+	}
+
+	showMessage(message) {
+		const snackbar = document.getElementById('snackbar');
+		if (snackbar && snackbar.MaterialSnackbar)
+			snackbar.MaterialSnackbar.showSnackbar({'message': message});
+	}
+
+	fillEngineInputs(name) {
+		const engine = this.custom_engines.filter(v => v.name === name)[0];
+		if (!engine) return false;
+		['name', 'shortcut', 'template', 'favicon'].forEach(v => {
+			document.getElementById('engine_' + v).value = engine[v] || '';
+		});
+		document.getElementById('engine_fields').value = engine.method === 'post' ?
+			new URLSearchParams(engine.fields).toString().replace(/%25s/g, '%s') : '';
+		document.getElementById('engine_encoding').value = engine.encoding || 'application/x-www-form-urlencoded';
+		return true;
+	}
+
+	approveEngine() {
+		const engine = {};
+		['name', 'shortcut', 'template', 'favicon'].forEach(v => {
+			engine[v] = document.getElementById('engine_' + v).value.trim();
+		});
+
+		// поля формы q=%s&lang=en делают поисковик POST
+		const fields = document.getElementById('engine_fields').value.trim().replace(/^\?/, '');
+		if (fields) {
+			engine.method = 'post';
+			engine.fields = {};
+			new URLSearchParams(fields.replace(/%s/g, '%25s')).forEach((val, name) => engine.fields[name] = val);
+			engine.encoding = document.getElementById('engine_encoding').value;
+		}
+
+		const builtin = [...document.getElementById('search_engine').options]
+			.filter(v => !v.dataset.custom);
+		// поисковик по ярлыку ищется первым совпадением, поэтому ярлыки не повторяются
+		const shortcuts = builtin.map(v => v.dataset.shortcut)
+			.concat(this.custom_engines.filter(v => v.name !== engine.name).map(v => v.shortcut));
+
+		if (!engine.name || builtin.some(v => v.value === engine.name)) return false;
+		if (!/^[^:\s]+$/.test(engine.shortcut) || ~shortcuts.indexOf(engine.shortcut)) return false;
+		if (!/^https?:\/\/.+%s/.test(engine.template) && !(fields && /^https?:\/\/.+/.test(engine.template))) return false;
+		if (fields && !Object.keys(engine.fields).some(v => ~engine.fields[v].indexOf('%s'))) return false;
+
+		const indx = this.custom_engines.findIndex(v => v.name === engine.name);
+		if (~indx) {
+			this.custom_engines[indx] = engine;
+		} else {
+			this.custom_engines.push(engine);
+		}
+
+		if (this.buildEngineOptions()) {
+			this.saveSearchProps(true);
+		}
+		['name', 'shortcut', 'template', 'favicon', 'fields'].forEach(v => {
+			document.getElementById('engine_' + v).value = '';
+		});
+		return true;
+	}
+
+	removeEngine() {
+		const select = document.getElementById('custom_engines');
+		if (!select.options.length) return false;
+
+		const name = select.options[select.selectedIndex].value;
+		const indx = this.custom_engines.findIndex(v => v.name === name);
+		if (indx === -1) return new Error(`Don\'t find element in array custom_engines`);
+
+		this.custom_engines.splice(indx, 1);
+		if (this.search_engine === name) this.search_engine = 'google';
+
+		return this.buildEngineOptions();
+	}
+
+	fillRegionInputs(name) {
+		const region = this.engine_regions[name] || {};
+		document.getElementById('region_domain').value = region.domain || '';
+		document.getElementById('region_lang').value = region.lang || '';
+		return true;
+	}
+
+	// пустые поля возвращают домен и язык по умолчанию
+	approveRegion() {
+		const name = document.getElementById('region_engine').value;
+		const domain = document.getElementById('region_domain').value.trim().replace(/^https?:\/\/|\/+$/g, '');
+		const lang = document.getElementById('region_lang').value.trim().toLowerCase();
+
+		if (domain && !/^[^\s\/]+\.[^\s\/]+$/.test(domain)) return false;
+		if (lang && !/^[a-z]{2,3}([-_][a-z0-9]{2,4})?$/.test(lang)) return false;
+
+		this.engine_regions[name] = {'domain': domain, 'lang': lang};
+		this.saveSearchProps(true);
+		return true;
+	}
+
 	blurValidate() {
 		const is_invalid = 'is-invalid';
 		const re1 = /^(?!(http|www\.)).+\..+$/; // sitename.com
 		const re2 = /^.+:.+\..+$/; // abc:sitename.com
+		const re3 = /^[^:,\s]+:[^:,\s]+(,[^:,\s]+)+$/; // abc:g,b,d
+		const re4 = /^\.?[^\s\/:.]+(\.[^\s\/:.]+)*$/; // corp, company.lan
 		const validate = (re, selector) => {
 			document.getElementById(selector).addEventListener('blur', e => {
 				e.target.parentNode.classList[!re.test(e.target.value) ? 'add' : 'remove'](is_invalid);
@@ -149,6 +329,21 @@ class Popup {
 		};
 		validate(re1, 'exclude');
 		validate(re2, 'shortcut_inp');
+		validate(re3, 'group_inp');
+		validate(re4, 'intranet_inp');
+		document.getElementById('deny_inp').addEventListener('blur', e => {
+			e.target.parentNode.classList[!this.isRegExp(e.target.value) ? 'add' : 'remove'](is_invalid);
+		});
+		validate(/^https?:\/\/.+/, 'engine_template');
+	}
+
+	isRegExp(value) {
+		try {
+			new RegExp(value);
+			return true;
+		} catch (error) {
+			return false;
+		}
 	}
 
 	approveInputData(input, select) {
@@ -169,10 +364,18 @@ class Popup {
 			switch(target.tagName.toLowerCase()) {
 				case 'input':
 					// checkboxes
-					if (target.type === "checkbox") {
+					if (target.type === "checkbox" && target.classList.contains('mdl-switch__input')) {
 						this[target.id] = (!!target.checked);
 						this.saveSearchProps(true);
 					}
+					if (target.id === 'bang_file' && target.files.length) {
+						this.importBangs(target.files[0])
+							.then(
+								result => this.showMessage((this.lang === 'ru' ? 'Импортировано: ' : 'Imported: ') + result),
+								error => this.showMessage(error.message)
+							);
+						target.value = '';
+					}
 					break;
 				default:
 					// selects
@@ -183,6 +386,21 @@ class Popup {
 					if (target.id === 'search_engine') {
 						this.search_engine = target.value;
 					}
+					if (target.id === 'suggests_max') {
+						this.suggests_max = target.value;
+					}
+					if (target.id === 'history_expire') {
+						this.history_expire = target.value;
+					}
+					if (target.id === 'region_engine') {
+						this.fillRegionInputs(target.value);
+						break;
+					}
+					if (target.id === 'custom_engines') {
+						this.fillEngineInputs(target.value);
+						break;
+					}
+					if (target.id === 'engine_encoding') break;
 					this.saveSearchProps(true);
 			}
 
@@ -218,6 +436,41 @@ class Popup {
 					if (this.removeOptions('shortcuts'))
 						this.saveSearchProps(true);
 					break;
+				case 'intranet_approve':
+					this.approveInputData('intranet_inp', 'intranet_suffixes');
+					break;
+				case 'remove_intranet':
+					if (this.removeOptions('intranet_suffixes'))
+						this.saveSearchProps(true);
+					break;
+				case 'deny_approve':
+					if (this.isRegExp(document.getElementById('deny_inp').value))
+						this.approveInputData('deny_inp', 'history_deny');
+					break;
+				case 'remove_deny':
+					if (this.removeOptions('history_deny'))
+						this.saveSearchProps(true);
+					break;
+				case 'region_approve':
+					this.approveRegion();
+					break;
+				case 'group_approve':
+					this.approveInputData('group_inp', 'engine_groups');
+					break;
+				case 'remove_group':
+					if (this.removeOptions('engine_groups'))
+						this.saveSearchProps(true);
+					break;
+				case 'bang_import':
+					document.getElementById('bang_file').click();
+					break;
+				case 'engine_approve':
+					this.approveEngine();
+					break;
+				case 'remove_engine':
+					if (this.removeEngine() === true)
+						this.saveSearchProps(true);
+					break;
 				case 'en':
 				case 'ru':
 					this.switchLang(target.value);
@@ -299,6 +552,11 @@ setTimeout(() => {
 				popup.setLangOnload();
 				popup.buildOptions('exclude_urls');
 				popup.buildOptions('shortcuts');
+				popup.buildOptions('engine_groups');
+				popup.buildOptions('intranet_suffixes');
+				popup.buildOptions('history_deny');
+				popup.buildEngineOptions();
+				popup.fillRegionInputs(document.getElementById('region_engine').value);
 			},
 			error => console.log(error.message)
 		);
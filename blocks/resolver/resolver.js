@@ -0,0 +1,337 @@
+var resolver = (function() {
+
+  var GENERIC_TLDS = ['com', 'net', 'org', 'info', 'biz', 'edu', 'gov', 'mil', 'int', 'arpa', 'name', 'pro',
+    'mobi', 'asia', 'aero', 'coop', 'museum', 'jobs', 'tel', 'travel', 'cat', 'xxx', 'app', 'dev', 'page',
+    'io', 'xyz', 'online', 'site', 'store', 'tech', 'blog', 'shop', 'cloud', 'top', 'club', 'news', 'live',
+    'space', 'website', 'email', 'company', 'agency', 'digital', 'network', 'software', 'systems', 'zip', 'mov'];
+
+  // tlds (and two-letter names) which are also common file extensions: readme.md, setup.py, app.js
+  var AMBIGUOUS_TLDS = ['md', 'py', 'sh', 'rs', 'so', 'ps', 'cc', 'mk', 'js', 'ts', 'rb', 'go', 'cs', 'zip', 'mov'];
+
+  var SHORTCUT_RE = /^([^:]+):([\s\S]*)$/;
+
+  var isIPv4 = function(host) {
+    var parts = /^(\d{1,3})\.(\d{1,3})\.(\d{1,3})\.(\d{1,3})$/.exec(host);
+    return !!parts && parts.slice(1).every(function(v) { return +v <= 255; });
+  };
+
+  var isIPv6 = function(host) {
+    return /^\[[0-9a-f:.]+\]$/i.test(host) && host.indexOf(':') !== -1;
+  };
+
+  var hasScheme = function(url) {
+    return /^[a-z][a-z0-9+.-]*:\/\//i.test(url);
+  };
+
+  var result = function(type, reason, o) {
+    return {
+      'type': type,
+      'reason': reason,
+      'urls': o.urls || [],
+      'forms': o.forms || [],
+      'engine': o.engine || null,
+      'shortcut': o.shortcut || null,
+      'query': o.query || ''
+    };
+  };
+
+  // returns an url for navigation or false if the input should be searched
+  var parseUrl = function(str, suffixes) {
+    var input = str.trim();
+    var parse, host, port, rest, labels, tld, intranet;
+
+    if (!input || /\s/.test(input)) return false;
+    if (hasScheme(input)) return input;
+
+    parse = /^(\[[^\]]*\]|[^\/?#:]+)(:\d{1,5})?([\/?#].*)?$/.exec(input);
+    if (!parse) return false;
+
+    host = parse[1].toLowerCase();
+    port = parse[2] || '';
+    rest = parse[3] || '';
+
+    if (isIPv4(host) || isIPv6(host) || host === 'localhost' || /\.localhost$/.test(host))
+      return 'http://' + host + port + rest;
+
+    labels = host.split('.');
+    if (!labels.every(function(v) { return /^[a-z0-9\u00a1-\uffff]([a-z0-9\u00a1-\uffff-]*[a-z0-9\u00a1-\uffff])?$/.test(v); }))
+      return false;
+
+    intranet = (suffixes || []).some(function(v) {
+      v = v.toLowerCase().replace(/^\./, '');
+      return host === v || host.slice(-(v.length + 1)) === '.' + v;
+    });
+    tld = labels[labels.length - 1];
+
+    if (!intranet) {
+      // a port alone does not make an address of one word: 12:30, iphone:13
+      if (labels.length === 1) {
+        if (rest !== '/' || /^\d+$/.test(host)) return false;
+      } else {
+        if (GENERIC_TLDS.indexOf(tld) === -1 && !/^[a-z]{2}$/.test(tld) &&
+            !/^xn--/.test(tld) && !/[\u00a1-\uffff]/.test(tld))
+          return false;
+        if (~AMBIGUOUS_TLDS.indexOf(tld) && !port && !rest && labels[0] !== 'www')
+          return false;
+      }
+    }
+
+    return 'https://' + host + port + rest;
+  };
+
+  // absolute http(s) address of a link found on a page, otherwise null: javascript: and data:
+  // links must not become engines that run on other sites
+  var resolveWebUrl = function(url, base) {
+    var parse;
+
+    try {
+      parse = new URL(url, base);
+    } catch (error) {
+      return null;
+    }
+
+    return /^https?:$/.test(parse.protocol) ? parse.href : null;
+  };
+
+  var getEngineKey = function(shortcut, engines) {
+    return Object.keys(engines || {}).filter(function(k) {
+      return engines[k].shortcut === shortcut;
+    })[0] || null;
+  };
+
+  var getDefaultEngineKey = function(settings) {
+    return settings.engines[settings.search_engine] ? settings.search_engine : 'google';
+  };
+
+  var getCustomShortcut = function(prefix, shortcuts) {
+    return (shortcuts || []).filter(function(v) {
+      var parse = SHORTCUT_RE.exec(v);
+      return parse && parse[1] === prefix;
+    })[0] || null;
+  };
+
+  // saved group shortcut (all:g,b,d) or comma separated engine shortcuts (g,b,d)
+  var getEngineGroup = function(prefix, settings) {
+    var group, shortcuts, keys;
+
+    if (!prefix) return [];
+
+    group = (settings.engine_groups || []).filter(function(v) { return v.split(':')[0] === prefix; })[0];
+    shortcuts = (group ? group.split(':')[1] : prefix).split(',')
+      .map(function(v) { return v.trim(); })
+      .filter(function(v) { return v; });
+
+    if (!group && shortcuts.length < 2) return [];
+
+    keys = shortcuts.map(function(v) { return getEngineKey(v, settings.engines); });
+
+    return keys.every(function(v) { return v; }) ? keys : [];
+  };
+
+  var buildEngineUrl = function(engine, query) {
+    if (engine.template)
+      return engine.template.replace(/%s/g, encodeURIComponent(query));
+    return engine.origin + engine.search + encodeURIComponent(query);
+  };
+
+  // form for engines with method post: fields {name: value} with %s in place of the query
+  var buildEngineForm = function(engine, query) {
+    var fields = {};
+
+    if ((engine.method || 'get').toLowerCase() !== 'post') return null;
+
+    Object.keys(engine.fields || {}).forEach(function(name) {
+      fields[name] = String(engine.fields[name]).replace(/%s/g, function() { return query; });
+    });
+
+    return {
+      'action': buildEngineUrl(engine, query),
+      'method': 'post',
+      'encoding': engine.encoding || 'application/x-www-form-urlencoded',
+      'fields': fields
+    };
+  };
+
+  // {query}, {1}, {2}..., {selection}, {url}, {hostname}, {title}; a template without variables
+  // gets {query} at the end, after a slash unless it ends with one of / = ? # &
+  var fillShortcutTemplate = function(template, query, context) {
+    var re = /\{(query|selection|url|hostname|title|\d+)\}/g;
+    var args = query.split(' ').filter(function(v) { return v; });
+    var vars = {
+      'query': query,
+      'selection': context.selection || '',
+      'url': context.href || '',
+      'hostname': context.hostname || '',
+      'title': context.title || ''
+    };
+
+    if (!template.match(re)) {
+      if (!query) return template;
+      template = template.replace(/[^\/=?#&]$/, '$&/') + '{query}';
+    }
+
+    return template.replace(re, function(m, name) {
+      return encodeURIComponent(/^\d+$/.test(name) ? (args[name - 1] || '') : vars[name]);
+    });
+  };
+
+  // !bang query and query !bang turn into bang:query
+  var parseBang = function(request, settings) {
+    var re = /(^|\s)!([^\s!:]+)(?=\s|$)/;
+    var parse = re.exec(request);
+    var bang, query;
+
+    if (!parse) return request;
+
+    bang = parse[2];
+    query = request.replace(re, ' ').trim();
+
+    if (!getEngineKey(bang, settings.engines) && !getCustomShortcut(bang, settings.shortcuts)) return request;
+
+    return query ? bang + ':' + query : bang;
+  };
+
+  // @:query with the default engine, @g:query with the chosen one; scoped is false when the engine
+  // has no site format or the page lacks the data for it (github outside a repo) and the search is not restricted
+  var parseSiteSearch = function(request, settings) {
+    var parse = /^@([^:]*):(.+)/.exec(request);
+    var context = settings.context || {};
+    var hostname = (context.hostname || '').replace(/^www\./, '');
+    var path, key, engine, vars, required;
+
+    if (!parse) return false;
+
+    key = parse[1] ? getEngineKey(parse[1], settings.engines) : getDefaultEngineKey(settings);
+    if (!key) return false;
+
+    engine = settings.engines[key];
+    path = (context.pathname || '').split('/').filter(function(v) { return v; });
+    vars = {
+      'hostname': hostname,
+      'repo': hostname === 'github.com' && path.length > 1 ? path.slice(0, 2).join('/') : '',
+      'query': parse[2].trim()
+    };
+    required = engine.site ? engine.site.match(/\{\w+\}/g).every(function(v) { return vars[v.slice(1, -1)]; }) : false;
+
+    return {
+      'engine': key,
+      'shortcut': parse[1] || null,
+      'scoped': required,
+      'query': required ? engine.site.replace(/\{(\w+)\}/g, function(m, name) { return vars[name]; }) : vars.query
+    };
+  };
+
+  /**
+   * Resolves the text typed in the search field.
+   *
+   * settings: engines (search_engine_data), search_engine, shortcuts, engine_groups,
+   * intranet_suffixes and context of the current page (href, hostname, pathname, title, selection).
+   *
+   * Returns {type, reason, urls, forms, engine, shortcut, query}, where type is one of
+   * empty, search, site, group, engine, shortcut, url. forms is empty or holds a form
+   * (see buildEngineForm) or null for every url.
+   */
+  var resolve = function(val, settings) {
+    var forms = function(keys, query) {
+      var list = keys.map(function(v) { return buildEngineForm(settings.engines[v], query); });
+      return list.some(function(v) { return v; }) ? list : [];
+    };
+
+    var request = parseBang((val || '').trim(), settings);
+    var bang = request !== (val || '').trim();
+    var context = settings.context || {};
+    var default_key = getDefaultEngineKey(settings);
+    var parse = SHORTCUT_RE.exec(request);
+    var prefix = parse ? parse[1] : request;
+    var query = parse ? parse[2].trim() : '';
+    var site, group, key, custom, url;
+
+    if (!request) return result('empty', 'empty request', {});
+
+    if (/^\?/.test(request)) {
+      query = request.slice(1).trim();
+      if (!query) return result('empty', 'empty forced search', {});
+      return result('search', 'forced search with ? prefix', {
+        'urls': [buildEngineUrl(settings.engines[default_key], query)],
+        'forms': forms([default_key], query),
+        'engine': default_key,
+        'query': query
+      });
+    }
+
+    site = parseSiteSearch(request, settings);
+    if (site) {
+      return result('site', site.scoped ? 'site search with @ prefix' : 'site search with @ prefix, not restricted to the site', {
+        'urls': [buildEngineUrl(settings.engines[site.engine], site.query)],
+        'forms': forms([site.engine], site.query),
+        'engine': site.engine,
+        'shortcut': site.shortcut,
+        'query': site.query
+      });
+    }
+
+    group = parse && query ? getEngineGroup(prefix, settings) : [];
+    if (group.length) {
+      return result('group', 'engine group ' + prefix, {
+        'urls': group.map(function(v) { return buildEngineUrl(settings.engines[v], query); }),
+        'forms': forms(group, query),
+        'engine': group.join(),
+        'shortcut': prefix,
+        'query': query
+      });
+    }
+
+    key = getEngineKey(prefix, settings.engines);
+    if (key) {
+      return result('engine', (bang ? 'bang ' : 'engine shortcut ') + prefix, {
+        'urls': [query ? buildEngineUrl(settings.engines[key], query) : settings.engines[key].origin],
+        'forms': query ? forms([key], query) : [],
+        'engine': key,
+        'shortcut': prefix,
+        'query': query
+      });
+    }
+
+    custom = getCustomShortcut(prefix, settings.shortcuts);
+    if (custom) {
+      url = fillShortcutTemplate(SHORTCUT_RE.exec(custom)[2], query, context);
+      return result('shortcut', (bang ? 'bang ' : 'custom shortcut ') + prefix, {
+        'urls': [hasScheme(url) ? url : 'http://' + url],
+        'shortcut': prefix,
+        'query': query
+      });
+    }
+
+    url = parseUrl(request, settings.intranet_suffixes);
+    if (url) {
+      return result('url', 'request looks like an address', {
+        'urls': [url],
+        'query': request
+      });
+    }
+
+    return result('search', 'default engine', {
+      'urls': [buildEngineUrl(settings.engines[default_key], request)],
+      'forms': forms([default_key], request),
+      'engine': default_key,
+      'query': request
+    });
+  };
+
+  return {
+    resolve: resolve,
+    parseUrl: parseUrl,
+    resolveWebUrl: resolveWebUrl,
+    parseBang: parseBang,
+    parseSiteSearch: parseSiteSearch,
+    getEngineGroup: getEngineGroup,
+    getEngineKey: getEngineKey,
+    buildEngineUrl: buildEngineUrl,
+    buildEngineForm: buildEngineForm,
+    fillShortcutTemplate: fillShortcutTemplate
+  };
+
+})();
+
+if (typeof module === 'object' && module.exports)
+  module.exports = resolver;
@@ -0,0 +1,396 @@
+var test = require('node:test');
+var assert = require('node:assert');
+var resolver = require('./resolver.js');
+
+var describe = test.describe;
+var it = test.it;
+
+// the subset of search_engine_data from app.js the resolver relies on
+var engines = function() {
+  return {
+    'google': {'origin': 'https://google.by/', 'search': 'search?q=', 'site': 'site:{hostname} {query}', 'shortcut': 'g'},
+    'bing': {'origin': 'https://bing.com/', 'search': 'search?q=', 'site': 'site:{hostname} {query}', 'shortcut': 'b'},
+    'duckduck': {'origin': 'https://duckduckgo.com/', 'search': '?q=', 'site': 'site:{hostname} {query}', 'shortcut': 'd'},
+    'youtube': {'origin': 'http://youtube.com/', 'search': 'results?search_query=', 'shortcut': 'yt'},
+    'github': {'origin': 'http://github.com/', 'search': 'search?utf8=✓&q=', 'site': 'repo:{repo} {query}', 'shortcut': 'gt'},
+    'mdn': {
+      'origin': 'https://developer.mozilla.org/',
+      'template': 'https://developer.mozilla.org/search?q=%s&topic=%s',
+      'shortcut': 'mdn',
+      'custom': true
+    },
+    'archive': {
+      'origin': 'https://archive.example.org/',
+      'template': 'https://archive.example.org/search',
+      'shortcut': 'ar',
+      'method': 'post',
+      'fields': {'q': '%s', 'lang': 'en'},
+      'custom': true
+    },
+    'npm': {
+      'origin': 'https://www.npmjs.com/',
+      'template': 'https://www.npmjs.com/search?q=%s',
+      'shortcut': 'npm',
+      'custom': true,
+      'bang': true
+    }
+  };
+};
+
+var settings = function(o) {
+  return Object.assign({
+    'engines': engines(),
+    'search_engine': 'google',
+    'shortcuts': ['f:facebook.com', 'jira:jira.example.com/browse/PROJ-{1}', 'here:example.com/?u={url}&h={hostname}'],
+    'engine_groups': ['all:g,b,d'],
+    'intranet_suffixes': ['local', 'internal', 'lan', 'corp'],
+    'context': {
+      'href': 'https://www.example.com/docs/page?x=1',
+      'hostname': 'www.example.com',
+      'pathname': '/docs/page',
+      'title': 'Docs',
+      'selection': ''
+    }
+  }, o || {});
+};
+
+var resolve = function(val, o) {
+  return resolver.resolve(val, settings(o));
+};
+
+describe('empty and default search', function() {
+  it('treats blank input as empty', function() {
+    assert.strictEqual(resolve('').type, 'empty');
+    assert.strictEqual(resolve('   ').type, 'empty');
+    assert.strictEqual(resolve(null).type, 'empty');
+  });
+
+  it('searches plain text with the default engine', function() {
+    var r = resolve('kittens');
+    assert.strictEqual(r.type, 'search');
+    assert.strictEqual(r.engine, 'google');
+    assert.deepStrictEqual(r.urls, ['https://google.by/search?q=kittens']);
+    assert.deepStrictEqual(r.forms, []);
+  });
+
+  it('uses the chosen default engine and falls back to google for an unknown one', function() {
+    assert.deepStrictEqual(resolve('kittens', {'search_engine': 'bing'}).urls, ['https://bing.com/search?q=kittens']);
+    assert.strictEqual(resolve('kittens', {'search_engine': 'nope'}).engine, 'google');
+  });
+
+  it('encodes the query for built-in engines', function() {
+    assert.deepStrictEqual(resolve('c# tutorial').urls, ['https://google.by/search?q=c%23%20tutorial']);
+    assert.deepStrictEqual(resolve('a&b test').urls, ['https://google.by/search?q=a%26b%20test']);
+    assert.deepStrictEqual(resolve('100% = 1?').urls, ['https://google.by/search?q=100%25%20%3D%201%3F']);
+    assert.deepStrictEqual(resolve('gt:a+b').urls, ['http://github.com/search?utf8=✓&q=a%2Bb']);
+  });
+
+  it('searches an unknown prefix with the colon kept', function() {
+    var r = resolve('foo:bar');
+    assert.strictEqual(r.type, 'search');
+    assert.deepStrictEqual(r.urls, ['https://google.by/search?q=foo%3Abar']);
+  });
+});
+
+describe('engine shortcuts', function() {
+  it('searches with the engine of the shortcut', function() {
+    var r = resolve('yt: cats and dogs');
+    assert.strictEqual(r.type, 'engine');
+    assert.strictEqual(r.engine, 'youtube');
+    assert.strictEqual(r.shortcut, 'yt');
+    assert.strictEqual(r.query, 'cats and dogs');
+    assert.deepStrictEqual(r.urls, ['http://youtube.com/results?search_query=cats%20and%20dogs']);
+  });
+
+  it('opens the engine origin without a query', function() {
+    var r = resolve('b:');
+    assert.strictEqual(r.type, 'engine');
+    assert.deepStrictEqual(r.urls, ['https://bing.com/']);
+  });
+
+  it('is not confused by a longer shortcut sharing a prefix', function() {
+    assert.strictEqual(resolve('gt:x').engine, 'github');
+    assert.strictEqual(resolve('g:x').engine, 'google');
+  });
+});
+
+describe('engine groups', function() {
+  it('opens a saved group in every engine', function() {
+    var r = resolve('all:rust');
+    assert.strictEqual(r.type, 'group');
+    assert.strictEqual(r.engine, 'google,bing,duckduck');
+    assert.deepStrictEqual(r.urls, [
+      'https://google.by/search?q=rust',
+      'https://bing.com/search?q=rust',
+      'https://duckduckgo.com/?q=rust'
+    ]);
+  });
+
+  it('opens comma separated shortcuts without saving a group', function() {
+    assert.deepStrictEqual(resolve('g, yt:a b').urls, [
+      'https://google.by/search?q=a%20b',
+      'http://youtube.com/results?search_query=a%20b'
+    ]);
+  });
+
+  it('ignores a group with an unknown shortcut or without a query', function() {
+    assert.strictEqual(resolve('g,zz:rust').type, 'search');
+    assert.strictEqual(resolve('all:').type, 'search');
+    assert.deepStrictEqual(resolver.getEngineGroup('g', settings()), []);
+  });
+
+  it('returns a form for every engine when one of them posts', function() {
+    var r = resolve('g,ar:rust');
+    assert.strictEqual(r.forms.length, 2);
+    assert.strictEqual(r.forms[0], null);
+    assert.strictEqual(r.forms[1].action, 'https://archive.example.org/search');
+  });
+});
+
+describe('!bang', function() {
+  it('accepts a bang before and after the query', function() {
+    var before = resolve('!g cats');
+    var after = resolve('cats !g');
+    assert.strictEqual(before.type, 'engine');
+    assert.strictEqual(before.reason, 'bang g');
+    assert.deepStrictEqual(before.urls, ['https://google.by/search?q=cats']);
+    assert.deepStrictEqual(after.urls, before.urls);
+  });
+
+  it('runs imported bang engines and custom shortcuts', function() {
+    assert.deepStrictEqual(resolve('!npm left pad').urls, ['https://www.npmjs.com/search?q=left%20pad']);
+    assert.strictEqual(resolve('!f').type, 'shortcut');
+  });
+
+  it('leaves an unknown bang and an exclamation inside a word as text', function() {
+    assert.strictEqual(resolve('!nope cats').type, 'search');
+    assert.deepStrictEqual(resolve('!nope cats').urls, ['https://google.by/search?q=!nope%20cats']);
+    assert.strictEqual(resolver.parseBang('wow!g cats', settings()), 'wow!g cats');
+  });
+
+  it('opens the engine origin for a bare bang', function() {
+    assert.deepStrictEqual(resolve('!yt').urls, ['http://youtube.com/']);
+  });
+});
+
+describe('@ site search', function() {
+  it('restricts the default engine to the current host without www', function() {
+    var r = resolve('@:install');
+    assert.strictEqual(r.type, 'site');
+    assert.strictEqual(r.reason, 'site search with @ prefix');
+    assert.strictEqual(r.query, 'site:example.com install');
+    assert.deepStrictEqual(r.urls, ['https://google.by/search?q=site%3Aexample.com%20install']);
+  });
+
+  it('keeps hosts which only start with www', function() {
+    var r = resolve('@:foo', {'context': {'hostname': 'www1.example.com'}});
+    assert.strictEqual(r.query, 'site:www1.example.com foo');
+  });
+
+  it('uses the engine of the shortcut', function() {
+    var r = resolve('@b:foo');
+    assert.strictEqual(r.engine, 'bing');
+    assert.strictEqual(r.shortcut, 'b');
+    assert.strictEqual(r.query, 'site:example.com foo');
+  });
+
+  it('restricts github to the repository of the page', function() {
+    var r = resolve('@gt:issue', {'context': {'hostname': 'github.com', 'pathname': '/operari/fullscreen-search/issues'}});
+    assert.strictEqual(r.query, 'repo:operari/fullscreen-search issue');
+  });
+
+  it('marks searches it cannot restrict', function() {
+    var youtube = resolver.parseSiteSearch('@yt:foo', settings());
+    var github = resolver.parseSiteSearch('@gt:foo', settings({'context': {'hostname': 'github.com', 'pathname': '/'}}));
+    var custom = resolver.parseSiteSearch('@mdn:foo', settings());
+    var no_host = resolver.parseSiteSearch('@:foo', settings({'context': {}}));
+
+    [youtube, github, custom, no_host].forEach(function(v) {
+      assert.strictEqual(v.scoped, false);
+      assert.strictEqual(v.query, 'foo');
+    });
+    assert.strictEqual(resolver.parseSiteSearch('@:foo', settings()).scoped, true);
+    assert.strictEqual(resolve('@yt:foo').reason, 'site search with @ prefix, not restricted to the site');
+  });
+
+  it('is not a site search without a query or with an unknown shortcut', function() {
+    assert.strictEqual(resolver.parseSiteSearch('@:', settings()), false);
+    assert.strictEqual(resolver.parseSiteSearch('@zz:foo', settings()), false);
+    assert.strictEqual(resolver.parseSiteSearch('mail@example.com', settings()), false);
+  });
+});
+
+describe('custom engines', function() {
+  it('fills every %s of a template with the encoded query', function() {
+    assert.deepStrictEqual(resolve('mdn:array map').urls, ['https://developer.mozilla.org/search?q=array%20map&topic=array%20map']);
+    assert.strictEqual(resolver.buildEngineUrl(engines().mdn, 'a&b#c'), 'https://developer.mozilla.org/search?q=a%26b%23c&topic=a%26b%23c');
+  });
+
+  it('builds a form for post engines', function() {
+    var r = resolve('ar:old news');
+    assert.deepStrictEqual(r.forms, [{
+      'action': 'https://archive.example.org/search',
+      'method': 'post',
+      'encoding': 'application/x-www-form-urlencoded',
+      'fields': {'q': 'old news', 'lang': 'en'}
+    }]);
+  });
+
+  it('posts dollar patterns of the query as typed', function() {
+    assert.strictEqual(resolve("ar:price $' x $& $$").forms[0].fields.q, "price $' x $& $$");
+  });
+
+  it('builds no form for get engines', function() {
+    assert.strictEqual(resolver.buildEngineForm(engines().google, 'x'), null);
+    assert.strictEqual(resolver.buildEngineForm(engines().mdn, 'x'), null);
+  });
+
+  it('searches with a custom default engine', function() {
+    assert.deepStrictEqual(resolve('flexbox', {'search_engine': 'mdn'}).urls, ['https://developer.mozilla.org/search?q=flexbox&topic=flexbox']);
+  });
+});
+
+describe('opensearch addresses', function() {
+  var base = 'https://example.com/opensearch.xml';
+
+  it('resolves relative templates and icons against the descriptor', function() {
+    assert.strictEqual(resolver.resolveWebUrl('/search?q=%s', base), 'https://example.com/search?q=%s');
+    assert.strictEqual(resolver.resolveWebUrl('favicon.ico', base), 'https://example.com/favicon.ico');
+    assert.strictEqual(resolver.resolveWebUrl('http://other.org/?q=%s', base), 'http://other.org/?q=%s');
+  });
+
+  it('rejects schemes other than http and https', function() {
+    /* jshint scripturl: true */
+    assert.strictEqual(resolver.resolveWebUrl('javascript:alert(document.cookie)//%s', base), null);
+    assert.strictEqual(resolver.resolveWebUrl(' JavaScript:alert(1)', base), null);
+    assert.strictEqual(resolver.resolveWebUrl('data:text/html,<script>alert(1)</script>', base), null);
+    assert.strictEqual(resolver.resolveWebUrl('chrome://settings', base), null);
+    assert.strictEqual(resolver.resolveWebUrl('http://[bad', base), null);
+  });
+});
+
+describe('custom shortcuts', function() {
+  it('opens the site of a shortcut without variables', function() {
+    var r = resolve('f:');
+    assert.strictEqual(r.type, 'shortcut');
+    assert.deepStrictEqual(r.urls, ['http://facebook.com']);
+  });
+
+  it('appends the encoded query to a shortcut without variables', function() {
+    assert.deepStrictEqual(resolve('f:zuck berg').urls, ['http://facebook.com/zuck%20berg']);
+    assert.deepStrictEqual(resolve('s:a&b', {'shortcuts': ['s:example.com/search?q=']}).urls, ['http://example.com/search?q=a%26b']);
+    assert.deepStrictEqual(resolve('p:x y', {'shortcuts': ['p:example.com/']}).urls, ['http://example.com/x%20y']);
+  });
+
+  it('fills numbered words and page variables', function() {
+    assert.deepStrictEqual(resolve('jira:123 extra').urls, ['http://jira.example.com/browse/PROJ-123']);
+    assert.deepStrictEqual(resolve('here:').urls, ['http://example.com/?u=https%3A%2F%2Fwww.example.com%2Fdocs%2Fpage%3Fx%3D1&h=www.example.com']);
+  });
+
+  it('prefers engine shortcuts over custom shortcuts with the same name', function() {
+    assert.strictEqual(resolve('g:x', {'shortcuts': ['g:example.com']}).type, 'engine');
+  });
+});
+
+describe('? forced search', function() {
+  it('searches text that looks like an address or shortcut', function() {
+    var r = resolve('?example.com');
+    assert.strictEqual(r.type, 'search');
+    assert.deepStrictEqual(r.urls, ['https://google.by/search?q=example.com']);
+    assert.strictEqual(resolve('? g:cats').query, 'g:cats');
+  });
+
+  it('treats a lone question mark as empty', function() {
+    assert.strictEqual(resolve('?').type, 'empty');
+    assert.strictEqual(resolve('?  ').type, 'empty');
+  });
+});
+
+describe('url classification', function() {
+  var url = function(val) {
+    return resolver.parseUrl(val, settings().intranet_suffixes);
+  };
+
+  it('keeps urls with a scheme', function() {
+    assert.strictEqual(url('ftp://files.example.com'), 'ftp://files.example.com');
+    assert.strictEqual(url('http://intranet'), 'http://intranet');
+  });
+
+  it('opens domains over https', function() {
+    assert.strictEqual(url('example.com'), 'https://example.com');
+    assert.strictEqual(url('Example.COM/Path?q=1#top'), 'https://example.com/Path?q=1#top');
+    assert.strictEqual(url('example.com:8080/x'), 'https://example.com:8080/x');
+    assert.strictEqual(url('bbc.co.uk'), 'https://bbc.co.uk');
+  });
+
+  it('opens localhost over http', function() {
+    assert.strictEqual(url('localhost'), 'http://localhost');
+    assert.strictEqual(url('localhost:3000/app'), 'http://localhost:3000/app');
+    assert.strictEqual(url('api.localhost'), 'http://api.localhost');
+  });
+
+  it('opens IPv4 addresses and rejects invalid ones', function() {
+    assert.strictEqual(url('192.168.0.1'), 'http://192.168.0.1');
+    assert.strictEqual(url('10.0.0.1:8080/admin'), 'http://10.0.0.1:8080/admin');
+    assert.strictEqual(url('999.1.1.1'), false);
+    assert.strictEqual(url('1.2.3'), false);
+  });
+
+  it('opens IPv6 addresses in brackets', function() {
+    assert.strictEqual(url('[::1]'), 'http://[::1]');
+    assert.strictEqual(url('[2001:db8::1]:8080/'), 'http://[2001:db8::1]:8080/');
+    assert.strictEqual(url('[nope]'), false);
+  });
+
+  it('opens intranet hosts by suffix', function() {
+    assert.strictEqual(url('wiki.corp'), 'https://wiki.corp');
+    assert.strictEqual(url('corp'), 'https://corp');
+    assert.strictEqual(url('printer.lan:631'), 'https://printer.lan:631');
+    assert.strictEqual(resolver.parseUrl('wiki.corp', []), false);
+  });
+
+  it('opens a single word only with a trailing slash', function() {
+    assert.strictEqual(url('nas/'), 'https://nas/');
+    assert.strictEqual(url('nas:5000/'), 'https://nas:5000/');
+    assert.strictEqual(url('nas'), false);
+    assert.strictEqual(url('nas/files'), false);
+  });
+
+  it('searches single words with a port-like suffix', function() {
+    assert.strictEqual(url('12:30'), false);
+    assert.strictEqual(url('iphone:13'), false);
+    assert.strictEqual(url('windows:10'), false);
+    assert.strictEqual(url('12/'), false);
+    assert.strictEqual(resolve('12:30').type, 'search');
+    assert.strictEqual(resolve('iphone:13').type, 'search');
+  });
+
+  it('opens internationalized domains', function() {
+    assert.strictEqual(url('пример.рф'), 'https://пример.рф');
+    assert.strictEqual(url('xn--e1afmkfd.xn--p1ai'), 'https://xn--e1afmkfd.xn--p1ai');
+    assert.strictEqual(url('bücher.de'), 'https://bücher.de');
+  });
+
+  it('searches file names with ambiguous tlds unless they look like sites', function() {
+    assert.strictEqual(url('readme.md'), false);
+    assert.strictEqual(url('setup.py'), false);
+    assert.strictEqual(url('app.js'), false);
+    assert.strictEqual(url('www.example.md'), 'https://www.example.md');
+    assert.strictEqual(url('example.md/'), 'https://example.md/');
+    assert.strictEqual(url('example.sh:8080'), 'https://example.sh:8080');
+  });
+
+  it('searches unknown tlds, text with spaces and malformed hosts', function() {
+    assert.strictEqual(url('example.notatld'), false);
+    assert.strictEqual(url('hello world.com'), false);
+    assert.strictEqual(url('-bad-.com'), false);
+    assert.strictEqual(url('a..com'), false);
+    assert.strictEqual(url('3.14'), false);
+  });
+
+  it('resolves addresses before the default search', function() {
+    var r = resolve('github.com/operari');
+    assert.strictEqual(r.type, 'url');
+    assert.deepStrictEqual(r.urls, ['https://github.com/operari']);
+  });
+});
@@ -0,0 +1,330 @@
+// хранилище подсказок в IndexedDB фоновой страницы; индекс по словам запроса, стабильные id
+class SuggestStore {
+	constructor() {
+		this.db_name = 'fs_search';
+		this.db_version = 2;
+		this.max_size = 5000; // по умолчанию, если в настройках popup.js нет suggests_max
+		this.candidates_limit = 2000;
+		this.flush_delay = 300;
+		this.pending = {}; // поисковик и запрос: время использования, ждут записи одной транзакцией
+		this.flush_timer = null;
+		this.db = null;
+	}
+
+	open() {
+		if (this.db) return this.db;
+
+		this.db = new Promise((resolve, reject) => {
+			const req = indexedDB.open(this.db_name, this.db_version);
+
+			req.onupgradeneeded = e => {
+				let store;
+
+				if (e.oldVersion < 1) {
+					store = e.target.result.createObjectStore('suggests', {keyPath: 'id', autoIncrement: true});
+					store.createIndex('request', 'request', {unique: true});
+					store.createIndex('words', 'words', {multiEntry: true});
+					store.createIndex('lastUsed', 'lastUsed');
+				}
+
+				// запрос хранится отдельно для каждого поисковика, '' - без поисковика
+				if (e.oldVersion < 2) {
+					store = store || e.target.transaction.objectStore('suggests');
+					store.deleteIndex('request');
+					store.createIndex('request', ['request', 'engine'], {unique: true});
+					store.createIndex('engine', 'engine');
+					store.openCursor().onsuccess = e => {
+						const cursor = e.target.result;
+						if (!cursor) return;
+						if (cursor.value.engine === undefined) {
+							cursor.value.engine = '';
+							cursor.update(cursor.value);
+						}
+						cursor.continue();
+					};
+				}
+			};
+			req.onsuccess = e => resolve(e.target.result);
+			req.onerror = e => {
+				this.db = null;
+				reject(e.target.error);
+			};
+		});
+
+		return this.db;
+	}
+
+	transaction(mode, callback) {
+		return this.open()
+			.then(db => new Promise((resolve, reject) => {
+				const tx = db.transaction('suggests', mode);
+				const result = callback(tx.objectStore('suggests'));
+				tx.oncomplete = () => resolve(result);
+				tx.onerror = tx.onabort = () => reject(tx.error);
+			}));
+	}
+
+	getWords(request) {
+		return request.toLowerCase().split(/\s+/)
+			.filter((v, i, arr) => v && arr.indexOf(v) === i);
+	}
+
+	getProps() {
+		return new Promise((resolve, reject) => {
+			chrome.storage.local.get('search_props_', items => {
+				resolve(items.search_props_ ? JSON.parse(items.search_props_) : {});
+			});
+		});
+	}
+
+	getMaxSize() {
+		return this.getProps()
+			.then(props => parseInt(props.suggests_max, 10) || this.max_size);
+	}
+
+	// массив suggests из chrome.storage.local прежних версий; записи без frecency получают ее в matcher.migrate
+	migrate() {
+		return new Promise((resolve, reject) => {
+			chrome.storage.local.get('suggests', items => resolve(items.suggests));
+		})
+			.then(suggests => {
+				if (!suggests) return 0;
+
+				matcher.migrate(suggests);
+
+				return this.transaction('readwrite', store => {
+					const index = store.index('request');
+					suggests.forEach(v => {
+						index.getKey([v.request, '']).onsuccess = e => {
+							if (e.target.result !== undefined) return;
+							store.add({
+								'request': v.request,
+								'engine': '',
+								'words': this.getWords(v.request),
+								'typeCount': v.typeCount || 0,
+								'frecency': v.frecency,
+								'firstUsed': v.firstUsed,
+								'lastUsed': v.lastUsed
+							});
+						};
+					});
+					return suggests.length;
+				})
+					.then(n => new Promise((resolve, reject) => {
+						chrome.storage.local.remove('suggests', () => resolve(n));
+					}));
+			});
+	}
+
+	// кандидаты для matcher.rank: записи, у которых слово начинается с начала одного из слов
+	// запроса без последних букв, и candidates_limit последних использованных записей, среди
+	// которых matcher находит опечатки в начале слова и подстроки. Кандидатов по словам сверх
+	// candidates_limit отсекают по давности использования, а не по алфавиту.
+	// С поисковиком - только его запросы, без текста - все его запросы
+	search(text, limit, engine) {
+		const prefixes = this.getWords(text)
+			.map(v => v.slice(0, Math.max(1, v.length - matcher.maxTypos(v.length))))
+			.filter((v, i, arr) => arr.indexOf(v) === i);
+		const candidates = {};
+		const recent = {};
+		let recent_count = 0;
+
+		if (!prefixes.length && !engine) return Promise.resolve([]);
+
+		const collect = e => {
+			const cursor = e.target.result;
+			if (!cursor) return;
+			if (!engine || cursor.value.engine === engine) candidates[cursor.primaryKey] = cursor.value;
+			cursor.continue();
+		};
+
+		const collectRecent = e => {
+			const cursor = e.target.result;
+			if (!cursor || recent_count >= this.candidates_limit) return;
+			if (!engine || cursor.value.engine === engine) {
+				recent[cursor.primaryKey] = cursor.value;
+				recent_count++;
+			}
+			cursor.continue();
+		};
+
+		return this.transaction('readonly', store => {
+			if (!prefixes.length) {
+				store.index('engine').openCursor(IDBKeyRange.only(engine)).onsuccess = collect;
+				return;
+			}
+			prefixes.forEach(prefix => {
+				store.index('words').openCursor(IDBKeyRange.bound(prefix, prefix + '\uffff')).onsuccess = collect;
+			});
+			store.index('lastUsed').openCursor(null, 'prev').onsuccess = collectRecent;
+		})
+			.then(() => {
+				const entries = Object.keys(candidates).map(k => candidates[k])
+					.sort((a, b) => (b.lastUsed || 0) - (a.lastUsed || 0))
+					.slice(0, this.candidates_limit);
+				entries.forEach(v => recent[v.id] = v);
+				return matcher.rank(text, Object.keys(recent).map(k => recent[k])).slice(0, limit || 10);
+			});
+	}
+
+	// использование запроса; записи копятся и пишутся пачкой
+	touch(request, engine) {
+		const key = JSON.stringify([request, engine || '']);
+
+		if (!this.pending[key]) this.pending[key] = [];
+		this.pending[key].push(Date.now());
+
+		clearTimeout(this.flush_timer);
+		this.flush_timer = setTimeout(() => this.flush(), this.flush_delay);
+	}
+
+	flush() {
+		const pending = this.pending;
+		this.pending = {};
+
+		return this.transaction('readwrite', store => {
+			const index = store.index('request');
+			Object.keys(pending).forEach(key => {
+				const request = JSON.parse(key);
+				index.get(request).onsuccess = e => {
+					const found = e.target.result;
+					const entry = found || {
+						'request': request[0],
+						'engine': request[1],
+						'words': this.getWords(request[0]),
+						'typeCount': 0,
+						'frecency': 0,
+						'firstUsed': 0,
+						'lastUsed': 0
+					};
+					pending[key].forEach((time, i) => {
+						if (found || i) entry.typeCount++;
+						matcher.touch(entry, time);
+					});
+					store.put(entry);
+				};
+			});
+		})
+			.then(() => this.prune())
+			.then(() => this.expire());
+	}
+
+	// удаляет давно не использованные записи сверх suggests_max
+	prune() {
+		return this.getMaxSize()
+			.then(max => this.transaction('readwrite', store => {
+				store.count().onsuccess = e => {
+					let excess = e.target.result - max;
+					if (excess <= 0) return;
+					store.index('lastUsed').openCursor().onsuccess = e => {
+						const cursor = e.target.result;
+						if (!cursor || excess-- <= 0) return;
+						cursor.delete();
+						cursor.continue();
+					};
+				};
+			}));
+	}
+
+	// удаляет записи, не использованные history_expire дней; '0' - хранить всегда
+	expire() {
+		return this.getProps()
+			.then(props => {
+				const days = parseInt(props.history_expire, 10);
+				if (!days) return;
+
+				return this.transaction('readwrite', store => {
+					store.index('lastUsed').openCursor(IDBKeyRange.upperBound(Date.now() - days * 86400000, true)).onsuccess = e => {
+						const cursor = e.target.result;
+						if (!cursor) return;
+						cursor.delete();
+						cursor.continue();
+					};
+				});
+			});
+	}
+
+	getAll() {
+		return this.transaction('readonly', store => {
+			const entries = [];
+			store.openCursor().onsuccess = e => {
+				const cursor = e.target.result;
+				if (!cursor) return;
+				entries.push(cursor.value);
+				cursor.continue();
+			};
+			return entries;
+		});
+	}
+
+	// возвращает удаленные записи
+	remove(ids) {
+		return this.transaction('readwrite', store => {
+			const entries = [];
+			ids.forEach(id => {
+				store.get(id).onsuccess = e => {
+					if (!e.target.result) return;
+					entries.push(e.target.result);
+					store.delete(id);
+				};
+			});
+			return entries;
+		});
+	}
+
+	// записи, возвращенные отменой удаления, с прежними id; запрос, сохраненный заново, не трогается
+	restore(entries) {
+		return this.transaction('readwrite', store => {
+			const index = store.index('request');
+			entries.forEach(v => {
+				index.getKey([v.request, v.engine]).onsuccess = e => {
+					if (e.target.result === undefined) store.put(v);
+				};
+			});
+		});
+	}
+
+	// записи с другого устройства: счетчики и давность берутся наибольшие
+	merge(entries) {
+		return this.transaction('readwrite', store => {
+			const index = store.index('request');
+			entries.forEach(v => {
+				index.get([v.request, v.engine]).onsuccess = e => {
+					const entry = e.target.result || {
+						'request': v.request,
+						'engine': v.engine,
+						'words': this.getWords(v.request),
+						'typeCount': 0,
+						'frecency': 0,
+						'firstUsed': v.lastUsed,
+						'lastUsed': 0
+					};
+					const last = Math.max(entry.lastUsed, v.lastUsed);
+
+					// frecency хранится на момент последнего использования
+					entry.frecency = Math.max(matcher.frecency(entry, last), matcher.frecency(v, last));
+					entry.typeCount = Math.max(entry.typeCount, v.typeCount);
+					entry.lastUsed = last;
+					store.put(entry);
+				};
+			});
+		});
+	}
+
+	// [request, engine]
+	removeRequests(requests) {
+		return this.transaction('readwrite', store => {
+			const index = store.index('request');
+			requests.forEach(v => {
+				index.getKey(v).onsuccess = e => {
+					if (e.target.result !== undefined) store.delete(e.target.result);
+				};
+			});
+		});
+	}
+}
+
+const suggest_store = new SuggestStore();
+
+if (typeof module === 'object' && module.exports)
+	module.exports = SuggestStore;
@@ -0,0 +1,121 @@
+var test = require('node:test');
+var assert = require('node:assert');
+
+global.matcher = require('../matcher/matcher.js');
+global.IDBKeyRange = {
+  bound: function(lower, upper) {
+    return {'includes': function(key) { return key >= lower && key <= upper; }};
+  },
+  only: function(value) {
+    return {'includes': function(key) { return key === value; }};
+  }
+};
+
+var SuggestStore = require('./store.js');
+
+var describe = test.describe;
+var it = test.it;
+
+var DAY = 86400000;
+var NOW = Date.now();
+
+// object store in memory with the indexes of SuggestStore; cursors run asynchronously like IndexedDB
+// and the transaction completes when no cursor is waiting for continue()
+var memoryStore = function(records) {
+  var keys = function(name, v) {
+    if (name === 'words') return v.words;
+    return v[name] === undefined ? [] : [v[name]];
+  };
+
+  var openCursor = function(tx, name, range, direction) {
+    var request = {};
+    var list = [];
+    var i = 0;
+
+    var next = function() {
+      tx.pending++;
+      setTimeout(function() {
+        var cursor = list[i++];
+        if (cursor) cursor.continue = next;
+        request.onsuccess({'target': {'result': cursor || null}});
+        if (!--tx.pending) tx.complete();
+      }, 0);
+    };
+
+    records.forEach(function(v) {
+      keys(name, v).forEach(function(key) {
+        if (!range || range.includes(key)) list.push({'key': key, 'primaryKey': v.id, 'value': v});
+      });
+    });
+    list.sort(function(a, b) { return a.key < b.key ? -1 : a.key > b.key ? 1 : a.primaryKey - b.primaryKey; });
+    if (direction === 'prev') list.reverse();
+
+    next();
+    return request;
+  };
+
+  return function(mode, callback) {
+    return new Promise(function(resolve) {
+      var tx = {'pending': 0};
+      var store = {
+        'index': function(name) {
+          return {'openCursor': function(range, direction) { return openCursor(tx, name, range, direction); }};
+        }
+      };
+      var result = callback(store);
+
+      tx.complete = function() { resolve(result); };
+    });
+  };
+};
+
+var record = function(id, request, days, engine) {
+  return {
+    'id': id,
+    'request': request,
+    'engine': engine || '',
+    'words': request.split(' '),
+    'typeCount': 1,
+    'frecency': 1,
+    'lastUsed': NOW - days * DAY
+  };
+};
+
+var requests = function(list) {
+  return list.map(function(v) { return v.request; });
+};
+
+describe('search', function() {
+  var store = new SuggestStore();
+  store.transaction = memoryStore([
+    record(1, 'google maps', 1),
+    record(2, 'youtube', 2),
+    record(3, 'github issues', 3),
+    record(4, 'kittens', 4),
+    record(5, 'gopher', 400),
+    record(6, 'npm react', 5, 'npm')
+  ]);
+
+  it('finds words with typos and substrings at their start', function() {
+    return Promise.all(['gogle', 'yuotube', 'tube', 'gthb'].map(function(v) { return store.search(v); }))
+      .then(function(results) {
+        assert.deepStrictEqual(results.map(requests), [['google maps'], ['youtube'], ['youtube'], ['github issues']]);
+      });
+  });
+
+  it('finds words by prefix beyond the recent entries', function() {
+    store.candidates_limit = 2;
+    return store.search('goph')
+      .then(function(result) {
+        store.candidates_limit = 2000;
+        assert.deepStrictEqual(requests(result), ['gopher']);
+      });
+  });
+
+  it('keeps to the requests of the engine', function() {
+    return Promise.all([store.search('react', 10, 'npm'), store.search('', 10, 'npm'), store.search('youtube', 10, 'npm')])
+      .then(function(results) {
+        assert.deepStrictEqual(results.map(requests), [['npm react'], ['npm react'], []]);
+      });
+  });
+});
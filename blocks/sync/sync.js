@@ -0,0 +1,333 @@
+// синхронизация настроек и истории запросов через chrome.storage.sync.
+// Данные хранятся как записи {v: значение, t: время изменения, d: удалено}; при конфликте
+// побеждает более новая запись, а не последнее сохранение целиком
+class SyncStorage {
+	constructor() {
+		this.props = ['self', 'background', 'bg_animation', 'touch', 'lang', 'search_engine', 'keys', 'history_suggests', 'bookmark_suggests', 'suggests_max', 'history_expire'];
+		this.lists = ['shortcuts', 'exclude_urls', 'engine_groups', 'intranet_suffixes', 'history_deny'];
+		// квоты chrome.storage.sync считаются в байтах UTF-8 ключа и значения в JSON
+		this.item_bytes = 8000; // QUOTA_BYTES_PER_ITEM 8192 с запасом
+		this.total_bytes = 100000; // QUOTA_BYTES 102400 с запасом
+		this.encoder = new TextEncoder();
+		this.history_limit = 300;
+		this.tombstone_ttl = 30 * 86400000;
+		this.delay = 3000;
+		this.timer = null;
+	}
+
+	getLocal(key) {
+		return new Promise((resolve, reject) => {
+			chrome.storage.local.get(key, items => resolve(items[key]));
+		});
+	}
+
+	setLocal(key, val) {
+		return new Promise((resolve, reject) => {
+			chrome.storage.local.set({[key]: val}, () => resolve());
+		});
+	}
+
+	getProps() {
+		return this.getLocal('search_props_')
+			.then(props => props ? JSON.parse(props) : {});
+	}
+
+	// записи настроек; импортированные bang не синхронизируются из-за квоты
+	settingsItems(props) {
+		const items = {};
+
+		this.props.forEach(prop => {
+			if (props[prop] !== undefined) items['prop:' + prop] = props[prop];
+		});
+		this.lists.forEach(prop => {
+			(props[prop] || []).forEach(v => items[prop + ':' + v] = v);
+		});
+		(props.custom_engines || []).forEach(v => {
+			if (!v.bang) items['engine:' + v.name] = v;
+		});
+		Object.keys(props.engine_regions || {}).forEach(name => {
+			items['region:' + name] = props.engine_regions[name];
+		});
+
+		return items;
+	}
+
+	isHistoryKey(key) {
+		return key.indexOf('history:') === 0;
+	}
+
+	historyKey(entry) {
+		return 'history:' + JSON.stringify([entry.request, entry.engine || '']);
+	}
+
+	historyItem(entry, time) {
+		return {'v': {'typeCount': entry.typeCount, 'frecency': entry.frecency, 'lastUsed': entry.lastUsed}, 't': time};
+	}
+
+	// текущие данные устройства в журнале sync_items_; первая синхронизация уступает данным других устройств
+	updateJournal(journal, props, history) {
+		const now = Date.now();
+		const first = !Object.keys(journal).some(key => !this.isHistoryKey(key));
+		const items = props.sync_settings ? this.settingsItems(props) : {};
+
+		if (props.sync_settings) {
+			Object.keys(items).forEach(key => {
+				const item = journal[key];
+				if (!item || item.d || JSON.stringify(item.v) !== JSON.stringify(items[key]))
+					journal[key] = {'v': items[key], 't': first ? 0 : now};
+			});
+			Object.keys(journal).forEach(key => {
+				if (!this.isHistoryKey(key) && !journal[key].d && items[key] === undefined)
+					journal[key] = {'t': now, 'd': 1};
+			});
+		}
+
+		// история не получает отметок удаления при вытеснении, только в removeHistory
+		(history || []).forEach(v => {
+			const key = this.historyKey(v);
+			if (!journal[key] || journal[key].t < v.lastUsed)
+				journal[key] = this.historyItem(v, v.lastUsed);
+		});
+
+		return journal;
+	}
+
+	merge(local, remote) {
+		const merged = Object.assign({}, remote);
+
+		Object.keys(local).forEach(key => {
+			if (!merged[key] || merged[key].t < local[key].t) merged[key] = local[key];
+		});
+
+		return merged;
+	}
+
+	// настройки из записей; порядок списков сохраняется, новые элементы в конце
+	applySettings(props, merged) {
+		this.props.forEach(prop => {
+			const item = merged['prop:' + prop];
+			if (item && !item.d) props[prop] = item.v;
+		});
+		this.lists.forEach(prop => {
+			const alive = Object.keys(merged)
+				.filter(key => key.indexOf(prop + ':') === 0 && !merged[key].d)
+				.map(key => merged[key].v);
+			props[prop] = (props[prop] || []).filter(v => ~alive.indexOf(v))
+				.concat(alive.filter(v => (props[prop] || []).indexOf(v) === -1));
+		});
+
+		const engines = (props.custom_engines || []).filter(v => v.bang || (merged['engine:' + v.name] && !merged['engine:' + v.name].d));
+		Object.keys(merged).forEach(key => {
+			if (key.indexOf('engine:') !== 0 || merged[key].d) return;
+			const indx = engines.findIndex(v => !v.bang && v.name === merged[key].v.name);
+			if (~indx) {
+				engines[indx] = merged[key].v;
+			} else {
+				engines.push(merged[key].v);
+			}
+		});
+		props.custom_engines = engines;
+
+		props.engine_regions = {};
+		Object.keys(merged).forEach(key => {
+			if (key.indexOf('region:') === 0 && !merged[key].d) props.engine_regions[key.slice(7)] = merged[key].v;
+		});
+
+		return props;
+	}
+
+	// только записи, пришедшие с других устройств
+	applyHistory(merged, journal) {
+		const entries = [];
+		const removed = [];
+
+		Object.keys(merged).forEach(key => {
+			if (!this.isHistoryKey(key) || merged[key] === journal[key]) return;
+			const request = JSON.parse(key.slice(8));
+			if (merged[key].d) {
+				removed.push(request);
+			} else {
+				entries.push(Object.assign({'request': request[0], 'engine': request[1]}, merged[key].v));
+			}
+		});
+
+		return suggest_store.merge(entries)
+			.then(() => suggest_store.removeRequests(removed));
+	}
+
+	// записи по возрастанию ключей, чтобы сравнивать данные устройств строкой
+	stringify(items) {
+		const sorted = {};
+		Object.keys(items).sort().forEach(key => sorted[key] = items[key]);
+		return JSON.stringify(sorted);
+	}
+
+	// неполные или испорченные данные - ошибка: с пустыми вместо них запись стерла бы данные других устройств
+	readRemote() {
+		return new Promise((resolve, reject) => {
+			chrome.storage.sync.get(null, data => {
+				const meta = data.sync_meta;
+				if (!meta) return resolve({});
+				let json = '';
+				for (let i = 0; i < meta.chunks; i++) {
+					if (typeof data['sync_' + i] !== 'string') return reject(new Error('Sync data is incomplete'));
+					json += data['sync_' + i];
+				}
+				try {
+					resolve(JSON.parse(json));
+				} catch (error) {
+					reject(new Error('Sync data is damaged'));
+				}
+			});
+		});
+	}
+
+	byteSize(key, value) {
+		return this.encoder.encode(key + JSON.stringify(value)).length;
+	}
+
+	// куски строки json, каждый вместе с ключом sync_N меньше item_bytes; кавычки внутри куска
+	// экранируются второй раз, кириллица занимает по два байта
+	split(json) {
+		const chunks = [];
+		let chunk = '';
+		let size = 0;
+
+		for (const ch of json) {
+			const bytes = this.byteSize('', ch) - 2;
+			if (size + bytes > this.item_bytes - this.byteSize('sync_' + chunks.length, '')) {
+				chunks.push(chunk);
+				chunk = '';
+				size = 0;
+			}
+			chunk += ch;
+			size += bytes;
+		}
+		if (chunk) chunks.push(chunk);
+
+		return chunks;
+	}
+
+	meta(chunks) {
+		return {'chunks': chunks.length, 't': Date.now()};
+	}
+
+	totalSize(chunks) {
+		return chunks.reduce((sum, v, i) => sum + this.byteSize('sync_' + i, v), this.byteSize('sync_meta', this.meta(chunks)));
+	}
+
+	// старые отметки удаления и давняя история отбрасываются, пока данные не уместятся в квоту
+	compact(items) {
+		const now = Date.now();
+		const history = Object.keys(items)
+			.filter(key => this.isHistoryKey(key))
+			.sort((a, b) => items[b].t - items[a].t);
+		let json;
+
+		Object.keys(items).forEach(key => {
+			if (items[key].d && now - items[key].t > this.tombstone_ttl) delete items[key];
+		});
+		history.slice(this.history_limit).forEach(key => delete items[key]);
+		history.length = Math.min(history.length, this.history_limit);
+
+		json = this.stringify(items);
+		while (this.totalSize(this.split(json)) > this.total_bytes && history.length) {
+			for (const key of history.splice(-Math.ceil(history.length / 10))) {
+				delete items[key];
+			}
+			json = this.stringify(items);
+		}
+
+		return json;
+	}
+
+	writeRemote(json) {
+		const data = {};
+		const chunks = this.split(json);
+
+		if (this.totalSize(chunks) > this.total_bytes) return Promise.reject(new Error('Sync quota exceeded'));
+
+		chunks.forEach((v, i) => data['sync_' + i] = v);
+		data.sync_meta = this.meta(chunks);
+
+		// куски от прежней, более длинной записи удаляются после записи новой
+		return new Promise((resolve, reject) => {
+			chrome.storage.sync.set(data, () => {
+				if (chrome.runtime.lastError) return reject(chrome.runtime.lastError);
+				chrome.storage.sync.get(null, items => {
+					const stale = Object.keys(items).filter(key => /^sync_\d+$/.test(key) && +key.slice(5) >= chunks.length);
+					chrome.storage.sync.remove(stale, () => resolve());
+				});
+			});
+		});
+	}
+
+	sync() {
+		let props, props_json, merged, remote_json;
+
+		return this.getProps()
+			.then(result => {
+				props = result;
+				props_json = JSON.stringify(props);
+				if (!props.sync_settings && !props.sync_history) return null;
+
+				return Promise.all([
+					this.getLocal('sync_items_'),
+					props.sync_history ? suggest_store.getAll() : [],
+					this.readRemote()
+				]);
+			})
+			.then(result => {
+				if (!result) return;
+
+				const journal = this.updateJournal(result[0] || {}, props, result[1]);
+				remote_json = this.stringify(result[2]);
+				merged = this.merge(journal, result[2]);
+				const json = this.compact(merged);
+				const settings = props.sync_settings ? JSON.stringify(this.applySettings(props, merged)) : props_json;
+
+				return this.setLocal('sync_items_', merged)
+					.then(() => settings !== props_json ? this.setLocal('search_props_', settings) : null)
+					.then(() => props.sync_history ? this.applyHistory(merged, journal) : null)
+					.then(() => json !== remote_json ? this.writeRemote(json) : null);
+			})
+			.catch(error => console.log(error.message));
+	}
+
+	schedule() {
+		clearTimeout(this.timer);
+		this.timer = setTimeout(() => this.sync(), this.delay);
+	}
+
+	updateHistory(entries, callback) {
+		if (!entries.length) return Promise.resolve();
+
+		return this.getProps()
+			.then(props => props.sync_history ? this.getLocal('sync_items_').then(journal => journal || {}) : null)
+			.then(journal => {
+				if (!journal) return;
+				entries.forEach(v => journal[this.historyKey(v)] = callback(v));
+				return this.setLocal('sync_items_', journal)
+					.then(() => this.schedule());
+			});
+	}
+
+	// запросы, удаленные в popup.html или в поиске, удаляются и на других устройствах
+	removeHistory(entries) {
+		return this.updateHistory(entries, v => ({'t': Date.now(), 'd': 1}));
+	}
+
+	// отмена удаления новее отметки удаления
+	restoreHistory(entries) {
+		return this.updateHistory(entries, v => this.historyItem(v, Date.now()));
+	}
+
+	listen() {
+		chrome.storage.onChanged.addListener((changes, area) => {
+			if ((area === 'local' && changes.search_props_) || (area === 'sync' && changes.sync_meta))
+				this.schedule();
+		});
+	}
+}
+
+const sync_storage = new SyncStorage();
@@ -13,6 +13,81 @@ class Background {
 							sendResponse({"action": "tab_removed", "data": request.data});
 						});
 						break;
+					case 'open':
+						this.openUrls(this.getPostUrls(request.data.urls, request.data.forms), request.data.target, sender.tab)
+							.then(
+								result => sendResponse({"action": "opened"}),
+								error => sendResponse(error.message)
+								);
+						break;
+					case 'tab_restore':
+						this.restoreTab(request.data, sender.tab)
+							.then(
+								result => sendResponse({"action": "tab_restored", "data": result}),
+								error => sendResponse(error.message)
+								);
+						break;
+					case 'tabs_search':
+						this.getAllTabs()
+							.then(
+								result => sendResponse({"action": "tabs_search", "data": {"text": request.data.text, "items": result.filter(v => v.id !== sender.tab.id)}}),
+								error => sendResponse(error.message)
+								);
+						break;
+					case 'history':
+						this.searchHistory(request.data.text, request.data.limit)
+							.then(
+								result => sendResponse({"action": "history", "data": {"text": request.data.text, "items": result}}),
+								error => sendResponse(error.message)
+								);
+						break;
+					case 'bookmarks':
+						this.searchBookmarks(request.data.text, request.data.limit)
+							.then(
+								result => sendResponse({"action": "bookmarks", "data": {"text": request.data.text, "items": result}}),
+								error => sendResponse(error.message)
+								);
+						break;
+					case 'suggests':
+						suggest_store.search(request.data.text, request.data.limit, request.data.engine)
+							.then(
+								result => sendResponse({"action": "suggests", "data": {"text": request.data.text, "engine": request.data.engine, "items": result}}),
+								error => sendResponse(error.message)
+								);
+						break;
+					case 'suggest_save':
+						this.isRecordable(request.data.request, sender.tab)
+							.then(result => {
+								if (result) {
+									suggest_store.touch(request.data.request, request.data.engine);
+									sync_storage.schedule();
+								}
+								sendResponse({"action": "suggest_saved", "data": result});
+							});
+						break;
+					case 'suggest_remove':
+						suggest_store.remove(request.data)
+							.then(result => sync_storage.removeHistory(result).then(() => result))
+							.then(
+								result => sendResponse({"action": "suggest_removed", "data": result}),
+								error => sendResponse(error.message)
+								);
+						break;
+					case 'suggest_restore':
+						suggest_store.restore(request.data)
+							.then(result => sync_storage.restoreHistory(request.data))
+							.then(
+								result => sendResponse({"action": "suggest_restored"}),
+								error => sendResponse(error.message)
+								);
+						break;
+					case 'suggests_all':
+						suggest_store.getAll()
+							.then(
+								result => sendResponse({"action": "suggests_all", "data": result}),
+								error => sendResponse(error.message)
+								);
+						break;
 					case 'storage':
 						this.getStorageData(request.key)
 							.then(
@@ -37,6 +112,107 @@ class Background {
 			});
 		});
 	}
+	// адреса post.html, которая отправит форму поисковика
+	static getPostUrls(urls, forms) {
+		return urls.map((url, i) => {
+			return forms && forms[i] ?
+				chrome.runtime.getURL('post.html') + '#' + encodeURIComponent(JSON.stringify(forms[i])) :
+				url;
+		});
+	}
+	static openUrls(urls, target, tab) {
+		return new Promise((resolve, reject) => {
+			switch (target) {
+				case 'self':
+					chrome.tabs.update(tab.id, {url: urls[0]}, tab => {
+						if (chrome.runtime.lastError) reject(chrome.runtime.lastError);
+						resolve(tab);
+					});
+					break;
+				case 'window':
+				case 'incognito':
+					chrome.windows.create({url: urls, incognito: target === 'incognito'}, win => {
+						if (chrome.runtime.lastError) reject(chrome.runtime.lastError);
+						resolve(win);
+					});
+					break;
+				default:
+					// tab, background
+					urls.forEach((url, i) => {
+						chrome.tabs.create({url: url, active: target !== 'background' && !i, index: tab.index + i + 1});
+					});
+					resolve();
+			}
+		});
+	}
+	// страницы из истории по названию и адресу за все время
+	static searchHistory(text, limit) {
+		return new Promise((resolve, reject) => {
+			chrome.history.search({text: text, startTime: 0, maxResults: limit || 5}, items => {
+				resolve(items.map(v => ({"title": v.title, "url": v.url})));
+			});
+		});
+	}
+	// закладки по названию и адресу с путем к папке
+	static searchBookmarks(text, limit) {
+		return new Promise((resolve, reject) => {
+			chrome.bookmarks.search(text, nodes => {
+				const bookmarks = nodes.filter(v => v.url).slice(0, limit || 5);
+				if (!bookmarks.length) return resolve([]);
+
+				chrome.bookmarks.getTree(tree => {
+					const folders = {};
+					const walk = (node, path) => {
+						folders[node.id] = path;
+						(node.children || []).forEach(v => {
+							if (!v.url) walk(v, path.concat(v.title));
+						});
+					};
+					tree.forEach(v => walk(v, []));
+
+					resolve(bookmarks.map(v => ({"title": v.title, "url": v.url, "path": (folders[v.parentId] || []).join(' / ')})));
+				});
+			});
+		});
+	}
+	// запрос не сохраняется в инкогнито, на паузе и при совпадении с history_deny; ошибочные выражения пропускаются
+	static isRecordable(text, tab) {
+		if (tab && tab.incognito) return Promise.resolve(false);
+
+		return this.getStorageData('search_props_')
+			.then(items => {
+				const props = items.search_props_ ? JSON.parse(items.search_props_) : {};
+				if (props.history_paused) return false;
+
+				return !(props.history_deny || []).some(v => {
+					try {
+						return new RegExp(v, 'i').test(text);
+					} catch (error) {
+						return false;
+					}
+				});
+			});
+	}
+
+	// последняя закрытая вкладка с этим адресом; restore делает ее активной, поэтому активной
+	// снова становится вкладка, из которой пришла отмена, и окно с табами на ней не закрывается
+	static restoreTab(url, tab) {
+		return new Promise((resolve, reject) => {
+			chrome.sessions.getRecentlyClosed(sessions => {
+				const session = sessions.find(v => v.tab && v.tab.url === url);
+				if (!session) return reject(new Error('No closed tab with this address'));
+				chrome.sessions.restore(session.tab.sessionId, restored => {
+					if (chrome.runtime.lastError) return reject(chrome.runtime.lastError);
+					this.keep_tab = tab.id;
+					chrome.tabs.update(tab.id, {active: true}, () => {
+						setTimeout(() => this.keep_tab = null, 1000);
+						resolve(restored.tab);
+					});
+				});
+			});
+		});
+	}
+
 	static getAllTabs() {
 		return new Promise((resolve, reject) => {
 			chrome.tabs.getAllInWindow(tabList => {
@@ -44,16 +220,16 @@ class Background {
 			});
 		});
 	}
-	static sendMessage(msg) {
-		chrome.tabs.query({active: true, currentWindow: true}, tabs => {
-			chrome.tabs.sendMessage(tabs[0].id, msg);
-		});
-	}
 	static leaveTab() {
 		chrome.tabs.onActivated.addListener((tab) => {
-			this.sendMessage({"action": "change_tab"});
+			if (tab.tabId === this.keep_tab) return;
+			chrome.tabs.sendMessage(tab.tabId, {"action": "change_tab"});
 		});
 	}
 }
 Background.messageReceivingEnd();
 Background.leaveTab();
+suggest_store.migrate()
+	.then(() => suggest_store.expire())
+	.then(() => sync_storage.sync());
+sync_storage.listen();
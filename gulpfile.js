@@ -13,7 +13,11 @@ var SOURCES = {
 			'blocks/mdlcomponentHandler.js',
 			'blocks/textfield/textfield.js',
 			'blocks/tooltip/tooltip.js',
+			'blocks/snackbar/snackbar.js',
 			'blocks/utils/utils.js',
+			'blocks/resolver/resolver.js',
+			'blocks/calculator/calculator.js',
+			'blocks/matcher/matcher.js',
 			'blocks/app/app.js'
 		],
 		sass: 'blocks/style-content.scss'
@@ -24,6 +28,7 @@ var SOURCES = {
 			'blocks/switch/switch.js',
 			'blocks/button/button.js',
 			'blocks/popup/popup.js',
+			'blocks/history/history.js',
 			'blocks/radio/radio.js',
 			'blocks/selectfield/selectfield.js',
 			'blocks/snackbar/snackbar.js',
@@ -158,7 +163,8 @@ gulp.task('zip', function () {
 		'**',
 		'!node_modules', '!node_modules/**',
 		'!dist', '!dist/**',
-		'!blocks', '!blocks/**',
+		'!blocks/**/*.scss',
+		'!blocks/**/!(matcher|store|sync).js',
 		'!.gitignore',
 		'!.csslintrc',
 		'!.jshintrc',
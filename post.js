@@ -0,0 +1,34 @@
+// отправляет форму поисковика с методом POST; описание формы в location.hash (см. eventPage.js)
+class PostForm {
+	static parse() {
+		try {
+			return JSON.parse(decodeURIComponent(location.hash.slice(1)));
+		} catch (error) {
+			return null;
+		}
+	}
+	static submit(data) {
+		const form = document.createElement('form');
+
+		form.action = data.action;
+		form.method = 'post';
+		form.enctype = data.encoding || 'application/x-www-form-urlencoded';
+		form.acceptCharset = 'UTF-8';
+
+		for (let name in data.fields) {
+			const input = document.createElement('input');
+			input.type = 'hidden';
+			input.name = name;
+			input.value = data.fields[name];
+			form.appendChild(input);
+		}
+
+		document.body.appendChild(form);
+		form.submit();
+	}
+}
+document.addEventListener('DOMContentLoaded', () => {
+	const data = PostForm.parse();
+	if (data && /^https?:\/\//.test(data.action))
+		PostForm.submit(data);
+});